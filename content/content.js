@@ -3,12 +3,635 @@
  * Runs on walmart.com/orders pages to extract order data
  */
 
+/**
+ * Supported export formats, keyed by the `format` export option
+ */
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8;' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8;' },
+  xlsx: { label: 'Excel workbook', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  ofx: { label: 'OFX', extension: 'ofx', mimeType: 'application/x-ofx' },
+  qif: { label: 'QIF', extension: 'qif', mimeType: 'application/qif' },
+  ledger: { label: 'Ledger journal', extension: 'ledger', mimeType: 'text/plain;charset=utf-8;' },
+  hledger: { label: 'hledger journal', extension: 'journal', mimeType: 'text/plain;charset=utf-8;' },
+  beancount: { label: 'Beancount ledger', extension: 'beancount', mimeType: 'text/plain;charset=utf-8;' },
+  sql: { label: 'SQL dump', extension: 'sql', mimeType: 'application/sql;charset=utf-8;' },
+  shipments: { label: 'shipments CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8;', fileBaseName: 'walmart_shipments' },
+  substitutions: { label: 'substitution report', extension: 'csv', mimeType: 'text/csv;charset=utf-8;', fileBaseName: 'walmart_substitutions' },
+  html: { label: 'receipt report', extension: 'html', mimeType: 'text/html;charset=utf-8;' }
+};
+
+/**
+ * Version of the JSON export schema; bump when the shape changes incompatibly
+ */
+const JSON_SCHEMA_VERSION = 1;
+
+/**
+ * XLSX cell style indexes into the cellXfs list in XLSX_STYLES
+ */
+const XLSX_STYLE = {
+  header: 1,
+  currency: 2,
+  date: 3
+};
+
+const XLSX_STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="2">' +
+  '<numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00;-&quot;$&quot;#,##0.00"/>' +
+  '<numFmt numFmtId="165" formatCode="yyyy-mm-dd"/>' +
+  '</numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="4">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+const XLSX_ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>';
+
+/**
+ * Categories used for the split lines of OFX/QIF transactions
+ */
+const FINANCE_CATEGORIES = {
+  item: 'Shopping',
+  tax: 'Taxes:Sales Tax',
+  deliveryFee: 'Fees:Delivery',
+  expressFee: 'Fees:Express Delivery',
+  driverTip: 'Tips',
+  associateDiscount: 'Discounts',
+  couponDiscount: 'Discounts:Coupons',
+  promotionDiscount: 'Discounts:Promotions',
+  unallocated: 'Shopping'
+};
+
+/**
+ * Default accounts for plain-text accounting exports
+ * Any key can be overridden through the `accountMap` export option
+ */
+const DEFAULT_LEDGER_ACCOUNTS = {
+  subtotal: 'Expenses:Shopping:Walmart',
+  tax: 'Expenses:Taxes:Sales',
+  deliveryFee: 'Expenses:Fees:Delivery',
+  expressFee: 'Expenses:Fees:Express',
+  driverTip: 'Expenses:Tips',
+  associateDiscount: 'Income:Discounts:Walmart',
+  couponDiscount: 'Income:Discounts:Coupons',
+  promotionDiscount: 'Income:Discounts:Promotions',
+  payment: 'Liabilities:CreditCard',
+  unreconciled: 'Equity:Unreconciled'
+};
+
+/**
+ * FINANCE_CATEGORIES / DEFAULT_LEDGER_ACCOUNTS key used for each order discount type
+ */
+const DISCOUNT_ACCOUNT_KEYS = {
+  associate: 'associateDiscount',
+  coupon: 'couponDiscount',
+  rollback: 'promotionDiscount',
+  clearance: 'promotionDiscount',
+  promotion: 'promotionDiscount'
+};
+
+/**
+ * An item line of a printed store receipt: name, 8-14 digit UPC or item number,
+ * optional flag, price (trailing "-" for credits) and tax code
+ */
+const RECEIPT_ITEM_LINE_PATTERN = /^(.+?)\s+(\d{8,14})\s+(?:[A-Z]\s+)?(\d+\.\d{2})(-)?\s*([A-Z]{1,2})?$/;
+
+/**
+ * Item names and order labels that identify a Walmart+ or other membership charge
+ */
+const MEMBERSHIP_PATTERN = /\bWalmart\s*(?:\+|Plus)(?:\s+(?:Annual|Monthly|Assist))?\s+(?:Membership|Subscription)\b|\bMembership\s+fee\b/i;
+
+/**
+ * Issues reported by the validation pass (WalmartOrderExporter#validateOrders)
+ * An order's validation status is the most severe of its issues, or 'ok' when it has none.
+ */
+const VALIDATION_ISSUES = {
+  fetchError: { severity: 'error', label: 'Could not be fetched' },
+  missingField: { severity: 'error', label: 'Missing required field' },
+  duplicateOrder: { severity: 'error', label: 'Duplicate order ID' },
+  unknownDate: { severity: 'warning', label: 'Unknown date' },
+  noItems: { severity: 'warning', label: 'No items found' },
+  itemsMismatch: { severity: 'warning', label: 'Items don\'t add up to subtotal' },
+  totalMismatch: { severity: 'warning', label: 'Amounts don\'t add up to total' },
+  itemTotalsMismatch: { severity: 'warning', label: 'Item totals don\'t reconcile with total' }
+};
+
+/**
+ * Largest difference (in cents) tolerated by the arithmetic checks, to allow for rounding
+ */
+const VALIDATION_TOLERANCE_CENTS = 1;
+
+/**
+ * Default CSV column order (keys from WalmartOrderExporter#getCSVColumns)
+ * used when no custom layout has been saved
+ */
+const DEFAULT_CSV_LAYOUT = {
+  detailed: [
+    'orderNumber', 'orderDate', 'status', 'itemName', 'itemPrice', 'quantity',
+    'subtotal', 'tax', 'total', 'orderType', 'associateDiscount', 'driverTip',
+    'deliveryFee', 'expressFee', 'storeLocation', 'totalSavings', 'refundTotal', 'netTotal'
+  ],
+  summary: [
+    'orderNumber', 'orderDate', 'status', 'itemCount', 'subtotal', 'tax', 'total',
+    'orderType', 'associateDiscount', 'driverTip', 'deliveryFee', 'expressFee',
+    'storeLocation', 'totalSavings', 'refundTotal', 'netTotal'
+  ]
+};
+
+/**
+ * Default delimited (CSV) output options
+ */
+const DEFAULT_CSV_OPTIONS = {
+  delimiter: ',',
+  bom: false,
+  crlf: false,
+  decimalSeparator: '.',
+  dateFormat: 'original'
+};
+
+/**
+ * Schema for the SQL dump export
+ * Written in the subset of SQL shared by SQLite (3.24+) and PostgreSQL (9.5+).
+ */
+const SQL_SCHEMA = `CREATE TABLE IF NOT EXISTS stores (
+  store_key TEXT PRIMARY KEY,
+  name TEXT,
+  address TEXT,
+  store_number TEXT,
+  city TEXT,
+  state TEXT,
+  zip TEXT,
+  phone TEXT
+);
+
+CREATE TABLE IF NOT EXISTS orders (
+  order_id TEXT PRIMARY KEY,
+  order_number TEXT,
+  tc_number TEXT UNIQUE,
+  order_type TEXT NOT NULL,
+  purchase_kind TEXT,
+  order_date DATE,
+  order_date_text TEXT,
+  status TEXT,
+  subtotal_cents INTEGER,
+  tax_cents INTEGER,
+  total_cents INTEGER,
+  associate_discount_cents INTEGER,
+  driver_tip_cents INTEGER,
+  delivery_fee_cents INTEGER,
+  express_fee_cents INTEGER,
+  total_savings_cents INTEGER,
+  refund_total_cents INTEGER,
+  net_total_cents INTEGER,
+  cancelled INTEGER NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  store_key TEXT REFERENCES stores (store_key),
+  fulfillment_type TEXT,
+  pickup_store_name TEXT,
+  pickup_store_address TEXT,
+  delivery_address TEXT,
+  scheduled_start TEXT,
+  scheduled_end TEXT,
+  delivered_at TEXT,
+  register TEXT,
+  operator TEXT,
+  transaction_number TEXT,
+  transaction_time TEXT,
+  change_due_cents INTEGER,
+  validation_status TEXT,
+  validation_issues TEXT,
+  exported_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS order_shipments (
+  order_id TEXT NOT NULL REFERENCES orders (order_id) ON DELETE CASCADE,
+  shipment_number INTEGER NOT NULL,
+  shipment_id TEXT,
+  status TEXT,
+  delivered_date TEXT,
+  fulfillment_type TEXT,
+  carrier TEXT,
+  tracking_number TEXT,
+  tracking_url TEXT,
+  seller TEXT,
+  PRIMARY KEY (order_id, shipment_number)
+);
+
+CREATE TABLE IF NOT EXISTS order_items (
+  order_id TEXT NOT NULL REFERENCES orders (order_id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  shipment_number INTEGER,
+  name TEXT NOT NULL,
+  quantity INTEGER,
+  price_cents INTEGER,
+  taxable INTEGER,
+  tax_cents INTEGER,
+  tax_allocated INTEGER NOT NULL DEFAULT 0,
+  total_with_tax_cents INTEGER,
+  measured_quantity REAL,
+  unit_of_measure TEXT,
+  unit_price_cents INTEGER,
+  list_price_cents INTEGER,
+  savings_cents INTEGER,
+  rollback INTEGER NOT NULL DEFAULT 0,
+  clearance INTEGER NOT NULL DEFAULT 0,
+  fulfillment_status TEXT,
+  requested_name TEXT,
+  requested_price_cents INTEGER,
+  return_status TEXT,
+  refund_cents INTEGER,
+  refund_date TEXT,
+  refund_reason TEXT,
+  seller TEXT,
+  sold_by_walmart INTEGER,
+  fulfilled_by_walmart INTEGER,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  item_id TEXT,
+  us_item_id TEXT,
+  upc TEXT,
+  item_code TEXT,
+  tax_code TEXT,
+  brand TEXT,
+  product_url TEXT,
+  image_url TEXT,
+  PRIMARY KEY (order_id, line_number)
+);
+
+CREATE TABLE IF NOT EXISTS order_payments (
+  order_id TEXT NOT NULL REFERENCES orders (order_id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  tender_type TEXT,
+  last4 TEXT,
+  amount_cents INTEGER,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  PRIMARY KEY (order_id, line_number)
+);
+
+CREATE TABLE IF NOT EXISTS order_discounts (
+  order_id TEXT NOT NULL REFERENCES orders (order_id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  label TEXT,
+  discount_type TEXT,
+  amount_cents INTEGER,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  PRIMARY KEY (order_id, line_number)
+);`;
+
+/**
+ * Stylesheet embedded in the printable receipt report
+ */
+const RECEIPT_REPORT_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; background: #f5f5f5; color: #2e2f32; font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; }
+  .toolbar { max-width: 640px; margin: 16px auto; color: #6d6e71; }
+  .receipt { max-width: 640px; margin: 16px auto; padding: 24px 28px; background: #fff; border: 1px solid #e6e7e8; border-radius: 8px; }
+  .receipt h1 { margin: 0 0 4px; font-size: 18px; color: #0071dc; }
+  .receipt .meta { margin: 0 0 16px; color: #6d6e71; }
+  .receipt .meta div { margin: 2px 0; }
+  .receipt table { width: 100%; border-collapse: collapse; }
+  .receipt th { text-align: left; font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; color: #6d6e71; border-bottom: 1px solid #c2c3c5; padding: 6px 4px; }
+  .receipt td { padding: 6px 4px; border-bottom: 1px solid #f0f0f0; vertical-align: top; }
+  .receipt .num { text-align: right; white-space: nowrap; }
+  .receipt .summary { margin-top: 16px; margin-left: auto; width: 260px; }
+  .receipt .summary td { border: none; padding: 3px 4px; }
+  .receipt .summary .total td { border-top: 1px solid #2e2f32; font-weight: 600; font-size: 15px; padding-top: 8px; }
+  .receipt .empty { color: #9a9b9e; font-style: italic; }
+  @media print {
+    body { background: #fff; }
+    .toolbar { display: none; }
+    .receipt { margin: 0 auto; border: none; border-radius: 0; break-after: page; page-break-after: always; }
+    .receipt:last-of-type { break-after: auto; page-break-after: auto; }
+  }
+`;
+
+/**
+ * Confidence levels for extracted values; the higher score wins when strategies disagree
+ */
+const CONFIDENCE = {
+  high: 3,
+  medium: 2,
+  low: 1
+};
+
+/**
+ * Built-in extraction strategies, each a WalmartOrderExporter method that takes an
+ * extraction context ({orderId, isStore, listOrder, apiData, doc, nextData}) and
+ * returns partial order fields or null. confidence applies to every field a strategy
+ * returns unless fieldConfidence overrides it; on equal confidence the earlier entry
+ * wins. List page dates guess the year and its items have no prices, hence low.
+ */
+const EXTRACTION_STRATEGIES = [
+  { name: 'nextData', method: 'extractWithNextData', confidence: 'high' },
+  { name: 'orderApi', method: 'extractWithOrderApi', confidence: 'high' },
+  { name: 'storeReceipt', method: 'extractWithStoreReceipt', confidence: 'medium' },
+  { name: 'embeddedJson', method: 'extractWithEmbeddedJson', confidence: 'medium' },
+  { name: 'listPage', method: 'extractWithListPage', confidence: 'medium', fieldConfidence: { orderDate: 'low', items: 'low' } },
+  { name: 'detailPage', method: 'extractWithDetailPage', confidence: 'low' },
+  { name: 'receiptText', method: 'extractWithReceiptText', confidence: 'low' }
+];
+
+// Lazily filled by WalmartOrderExporter#crc32
+const CRC32_TABLE = [];
+
+/**
+ * Default request scheduler settings (times in milliseconds)
+ * concurrency: requests in flight at once; minInterval: gap between request starts;
+ * retries: extra attempts after a 429, 5xx, timeout or network error;
+ * backoffBase/backoffMax: bounds of the jittered exponential backoff;
+ * retryAfterMax: longest Retry-After that is honored; timeout: abort a request whose response
+ * (body included) hasn't arrived after this long;
+ * throttleWindow/throttleErrorRate: when more than this share of the last requests failed,
+ * concurrency is halved and the interval doubled until requests succeed again.
+ */
+const DEFAULT_REQUEST_OPTIONS = {
+  concurrency: 3,
+  minInterval: 300,
+  retries: 3,
+  backoffBase: 1000,
+  backoffMax: 30000,
+  retryAfterMax: 120000,
+  timeout: 20000,
+  throttleWindow: 10,
+  throttleErrorRate: 0.3
+};
+
+/**
+ * chrome.storage.local key of the saved export checkpoint, and the version of its shape
+ * The orders are saved apart from it, in chunks under CHECKPOINT_STORAGE_KEY + ':orders:<n>'.
+ */
+const CHECKPOINT_STORAGE_KEY = 'exportCheckpoint';
+const CHECKPOINT_VERSION = 2;
+
+/**
+ * Export options that a resumed export takes from the new run instead of the checkpoint
+ * (they only affect the generated file, not which orders are collected)
+ */
+const OUTPUT_OPTION_KEYS = ['format', 'accountMap', 'columnLayout', 'csvOptions'];
+
+/**
+ * HTTP statuses that are retried with backoff
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Retryable statuses for speculative requests (the order API endpoints), which a
+ * client error won't fix
+ */
+const SERVER_ERROR_STATUSES = RETRYABLE_STATUSES.filter(status => status >= 500);
+
+/**
+ * Runs fetches through a bounded pool with retries, backoff and adaptive throttling
+ * The outcome of every request is kept by key so callers can find and retry failures.
+ */
+class RequestScheduler {
+  constructor(options = {}) {
+    this.queue = [];
+    this.waiting = new Set();
+    this.active = 0;
+    this.lastStart = 0;
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.outcomes = new Map();
+    this.reset(options);
+  }
+
+  /**
+   * Apply settings over DEFAULT_REQUEST_OPTIONS, forget past outcomes and lift any throttling
+   */
+  reset(options = {}) {
+    this.options = { ...DEFAULT_REQUEST_OPTIONS, ...options };
+    this.options.concurrency = Math.max(1, Math.floor(this.options.concurrency) || 1);
+    this.concurrency = this.options.concurrency;
+    this.interval = this.options.minInterval;
+    this.pausedUntil = 0;
+    this.recent = [];
+    this.outcomes.clear();
+  }
+
+  /**
+   * Queue a fetch
+   * Resolves with {ok, status, headers, body} once it succeeds, returns a status that
+   * isn't retried or runs out of retries; body is the response text, read within the
+   * timeout. Rejects when the last attempt timed out or failed on the network, or when
+   * the queue is cleared.
+   * @param {string} url
+   * @param {Object} init - fetch options
+   * @param {string} key - Name the outcome is recorded under (defaults to the URL)
+   * @param {number[]} retryStatuses - HTTP statuses worth another attempt
+   */
+  fetch(url, init = {}, key = url, retryStatuses = RETRYABLE_STATUSES) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ url, init, key, retryStatuses, attempts: 0, startedAt: Date.now(), resolve, reject });
+      this.pump();
+    });
+  }
+
+  /**
+   * Start queued requests while there is a free slot and the interval has passed
+   */
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      const wait = Math.max(this.pausedUntil, this.lastStart + this.interval) - Date.now();
+      if (wait > 0) {
+        this.timer = setTimeout(() => this.pump(), wait);
+        return;
+      }
+
+      this.lastStart = Date.now();
+      this.run(this.queue.shift());
+    }
+  }
+
+  /**
+   * Make one attempt at a request, then settle it or schedule its retry
+   */
+  async run(task) {
+    this.active++;
+    task.attempts++;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.options.timeout);
+    let response = null;
+    let body = '';
+    let error = null;
+
+    try {
+      response = await fetch(task.url, { ...task.init, signal: controller.signal });
+      // A stalled body hangs as surely as stalled headers, so it is read before the timeout is lifted
+      body = await response.text();
+    } catch (err) {
+      error = controller.signal.aborted ? new Error(`Timed out after ${this.options.timeout} ms`) : err;
+      response = null;
+    } finally {
+      clearTimeout(timeout);
+      this.active--;
+    }
+
+    const retryable = !!error || task.retryStatuses.includes(response.status);
+    this.recordResult(!retryable);
+
+    if (retryable && task.attempts <= this.options.retries) {
+      const wait = this.getRetryDelay(task.attempts, response);
+      if (response?.status === 429) {
+        // Walmart is rate limiting the whole session, not just this request
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + wait);
+      }
+      console.log('[Walmart Order Exporter] Retrying', task.key, 'in', wait, 'ms after', error ? error.message : `HTTP ${response.status}`);
+
+      this.waiting.add(task);
+      task.retryTimer = setTimeout(() => {
+        this.waiting.delete(task);
+        this.queue.unshift(task);
+        this.pump();
+      }, wait);
+    } else {
+      this.outcomes.set(task.key, {
+        key: task.key,
+        url: task.url,
+        ok: !error && response.ok,
+        status: response ? response.status : null,
+        error: error ? error.message : (response.ok ? null : `HTTP ${response.status}`),
+        attempts: task.attempts,
+        durationMs: Date.now() - task.startedAt
+      });
+
+      if (error) {
+        task.reject(error);
+      } else {
+        task.resolve({ ok: response.ok, status: response.status, headers: response.headers, body });
+      }
+    }
+
+    this.pump();
+  }
+
+  /**
+   * Delay before the next attempt: the server's Retry-After when given, otherwise
+   * exponential backoff with jitter (between half and all of base * 2^(attempt - 1))
+   */
+  getRetryDelay(attempt, response) {
+    const retryAfter = this.parseRetryAfter(response?.headers?.get('Retry-After'));
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.options.retryAfterMax);
+    }
+
+    const ceiling = Math.min(this.options.backoffMax, this.options.backoffBase * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * Retry-After header (delay in seconds or an HTTP date) in milliseconds, null when absent or invalid
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Track recent successes and failures, slowing down when failures pile up
+   * and speeding back up after a full window without any
+   */
+  recordResult(success) {
+    this.recent.push(success);
+    if (this.recent.length > this.options.throttleWindow) {
+      this.recent.shift();
+    }
+
+    const failures = this.recent.filter(ok => !ok).length;
+
+    if (!success && this.recent.length >= 3 && failures / this.recent.length > this.options.throttleErrorRate) {
+      this.concurrency = Math.max(1, Math.floor(this.concurrency / 2));
+      this.interval = Math.min(this.options.backoffMax, Math.max(this.interval * 2, 500));
+      this.recent = [];
+      console.log('[Walmart Order Exporter] Throttling requests: concurrency', this.concurrency, 'interval', this.interval, 'ms');
+    } else if (failures === 0 && this.recent.length >= this.options.throttleWindow &&
+      (this.concurrency < this.options.concurrency || this.interval > this.options.minInterval)) {
+      this.concurrency = Math.min(this.options.concurrency, this.concurrency + 1);
+      this.interval = Math.max(this.options.minInterval, Math.floor(this.interval / 2));
+      this.recent = [];
+      console.log('[Walmart Order Exporter] Easing throttle: concurrency', this.concurrency, 'interval', this.interval, 'ms');
+    }
+  }
+
+  /**
+   * Reject every queued request and every request waiting for a retry
+   */
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const cancelled = [...this.queue, ...this.waiting];
+    this.queue = [];
+    this.waiting.clear();
+
+    for (const task of cancelled) {
+      clearTimeout(task.retryTimer);
+      task.reject(new Error('Request cancelled'));
+    }
+  }
+
+  /**
+   * Recorded outcome of a request, or null when it hasn't finished
+   */
+  getOutcome(key) {
+    return this.outcomes.get(key) || null;
+  }
+
+  /**
+   * Totals over every recorded request and the current throttle settings
+   */
+  getStats() {
+    const outcomes = Array.from(this.outcomes.values());
+    return {
+      requests: outcomes.length,
+      failed: outcomes.filter(outcome => !outcome.ok).length,
+      retried: outcomes.filter(outcome => outcome.attempts > 1).length,
+      concurrency: this.concurrency,
+      interval: this.interval
+    };
+  }
+}
+
 class WalmartOrderExporter {
   constructor() {
     this.orders = [];
     this.isExporting = false;
     this.totalOrders = 0;
     this.processedOrders = 0;
+    this.scheduler = new RequestScheduler();
+    this.failedFetches = new Map();
+    // Orders and order chunks already in the saved checkpoint, see saveCheckpoint
+    this.checkpointOrderCount = 0;
+    this.checkpointChunkCount = 0;
+    // Options of the last completed export, for retrying its failed orders
+    this.lastExportOptions = null;
+    // Per-item tax allocation of each order, see getItemTaxDetails
+    this.taxAllocations = new WeakMap();
+    this.extractors = EXTRACTION_STRATEGIES.map(strategy => ({
+      ...strategy,
+      extract: context => this[strategy.method](context)
+    }));
   }
 
   /**
@@ -75,6 +698,124 @@ class WalmartOrderExporter {
     return storeLocation;
   }
 
+  /**
+   * Parse the text of a printed in-store receipt
+   * Reads the header (phone, street, city/state/ZIP, ST#/OP#/TE#/TR#), item lines
+   * ("GV MILK 007874235186 F 3.48 N", with weight lines such as "2.31 lb @ 0.98 /lb"),
+   * subtotal, tax lines, total, change due, item count and date/time.
+   * Missing values are '' (text) or null (money and numbers).
+   */
+  parseStoreReceipt(pageText) {
+    const text = pageText || '';
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const receipt = {
+      storeNumber: '',
+      street: '',
+      city: '',
+      state: '',
+      zip: '',
+      phone: '',
+      register: '',
+      operator: '',
+      transactionNumber: '',
+      transactionDate: '',
+      transactionTime: '',
+      lines: [],
+      subtotal: null,
+      tax: null,
+      taxLines: [],
+      total: null,
+      changeDue: null,
+      itemsSold: null
+    };
+
+    const storeNumberMatch = text.match(/\bST#\s*(\d+)/i) || text.match(/\bStore\s*#\s*(\d+)/i);
+    if (storeNumberMatch) receipt.storeNumber = storeNumberMatch[1].replace(/^0+(?=\d)/, '');
+
+    const registerMatch = text.match(/\bTE#\s*(\d+)/i) || text.match(/\bRegister\s*#?\s*(\d+)/i);
+    if (registerMatch) receipt.register = registerMatch[1];
+
+    const operatorMatch = text.match(/\bOP#\s*(\d+)/i) || text.match(/\bOperator\s*#?\s*(\d+)/i);
+    if (operatorMatch) receipt.operator = operatorMatch[1];
+
+    const transactionMatch = text.match(/\bTR#\s*(\d+)/i);
+    if (transactionMatch) receipt.transactionNumber = transactionMatch[1];
+
+    const phoneMatch = text.match(/\(\s*(\d{3})\s*\)\s*(\d{3})\s*-\s*(\d{4})/) || text.match(/\b(\d{3})[-.](\d{3})[-.](\d{4})\b/);
+    if (phoneMatch) receipt.phone = `(${phoneMatch[1]}) ${phoneMatch[2]}-${phoneMatch[3]}`;
+
+    // "ANYTOWN TX 75001" with the street on the line above
+    const cityIndex = lines.findIndex(line => /^[A-Za-z][A-Za-z .'-]+?,?\s+[A-Z]{2}\s+\d{5}(?:-\d{4})?$/.test(line));
+    if (cityIndex >= 0) {
+      const [, city, state, zip] = lines[cityIndex].match(/^(.+?),?\s+([A-Z]{2})\s+(\d{5}(?:-\d{4})?)$/);
+      Object.assign(receipt, { city: city.trim(), state, zip });
+      if (cityIndex > 0 && /^\d+\s+\S/.test(lines[cityIndex - 1])) {
+        receipt.street = lines[cityIndex - 1];
+      }
+    }
+
+    const dateTimeMatch = text.match(/\b(\d{2})\/(\d{2})\/(\d{2}(?:\d{2})?)\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?)/i);
+    if (dateTimeMatch) {
+      const [, month, day, year, time] = dateTimeMatch;
+      const fullYear = year.length === 2 ? `20${year}` : year;
+      receipt.transactionDate = this.formatDate(new Date(parseInt(fullYear), parseInt(month) - 1, parseInt(day)));
+      receipt.transactionTime = time.toUpperCase();
+    } else {
+      const timeMatch = text.match(/\b(\d{1,2}:\d{2}(?::\d{2})?\s*[AP]M)\b/i);
+      if (timeMatch) receipt.transactionTime = timeMatch[1].toUpperCase();
+    }
+
+    const amountAfter = pattern => {
+      const match = text.match(pattern);
+      return match ? this.parseMoney(match[1]) : null;
+    };
+    receipt.subtotal = amountAfter(/^\s*SUBTOTAL\s+\$?([\d,]+\.\d{2})/im);
+    receipt.total = amountAfter(/^\s*TOTAL\s+\$?([\d,]+\.\d{2})/im);
+    receipt.changeDue = amountAfter(/CHANGE\s+DUE\s+\$?([\d,]+\.\d{2})/i);
+
+    const itemsSoldMatch = text.match(/#\s*ITEMS\s+SOLD\s+(\d+)/i);
+    if (itemsSoldMatch) receipt.itemsSold = parseInt(itemsSoldMatch[1]);
+
+    const taxPattern = /^\s*TAX\s*(\d*)\s+(\d+(?:\.\d+)?)\s*%\s+\$?([\d,]+\.\d{2})/gim;
+    let taxMatch;
+    while ((taxMatch = taxPattern.exec(text)) !== null) {
+      receipt.taxLines.push({ code: taxMatch[1], rate: parseFloat(taxMatch[2]), amount: this.parseMoney(taxMatch[3]) });
+    }
+    if (receipt.taxLines.length > 0) {
+      receipt.tax = { cents: receipt.taxLines.reduce((sum, line) => sum + line.amount.cents, 0), currency: 'USD' };
+    }
+
+    // Item lines (RECEIPT_ITEM_LINE_PATTERN), each optionally followed by its measure
+    for (const line of lines) {
+      const itemMatch = line.match(RECEIPT_ITEM_LINE_PATTERN);
+      if (!itemMatch) {
+        // Any other line with a measure continues the item above, unless it already has one
+        const measure = this.parseMeasureText(line);
+        const last = receipt.lines[receipt.lines.length - 1];
+        if (measure && last && !last.unitOfMeasure) {
+          Object.assign(last, measure);
+        }
+        continue;
+      }
+
+      const [, name, itemCode, amount, credit, taxCode] = itemMatch;
+      const price = this.parseMoney(amount);
+      receipt.lines.push({
+        name: name.trim(),
+        quantity: 1,
+        price: credit ? this.asDiscount(price) : price,
+        itemCode,
+        taxCode: taxCode || '',
+        taxable: this.isTaxableCode(taxCode),
+        unitOfMeasure: '',
+        measuredQuantity: null,
+        unitPrice: null
+      });
+    }
+
+    return receipt;
+  }
+
   /**
    * Parse store purchase page HTML
    */
@@ -82,57 +823,33 @@ class WalmartOrderExporter {
     const mainContent = doc.querySelector('main');
     if (!mainContent) {
       return {
-        orderId,
-        orderNumber: orderId,
-        orderType: 'store',
-        orderDate: 'Unknown',
-        status: 'Store purchase',
-        items: [],
-        subtotal: '',
-        tax: '',
-        total: '',
-        associateDiscount: '',
-        driverTip: '',
-        deliveryFee: '',
-        expressFee: '',
-        storeLocation: { name: '', address: '' }
+        ...this.createEmptyOrder(orderId, 'store'),
+        status: 'Store purchase'
       };
     }
 
     const pageText = mainContent.innerText;
 
     // Extract TC# (Transaction Code) as order number
-    const tcMatch = pageText.match(/TC#\s*([\d-]+)/);
+    // Printed receipts space the groups ("TC# 1234 5678 9012 3456 7890")
+    const tcMatch = pageText.match(/TC#\s*(\d[\d -]*\d)/);
     const orderNumber = tcMatch ? `TC# ${tcMatch[1]}` : orderId;
 
+    // Header, item lines, totals and tenders as printed on the receipt
+    const receipt = this.parseStoreReceipt(pageText);
+
     // Extract order date
     const dateMatch = pageText.match(/(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},\s+\d{4}/i);
-    const orderDate = dateMatch ? dateMatch[0] : 'Unknown';
+    const orderDate = dateMatch ? dateMatch[0] : (receipt.transactionDate || 'Unknown');
 
     // Status is always "Store purchase" for in-store orders
     const status = 'Store purchase';
 
-    // Extract items - try __NEXT_DATA__ first (most reliable, has prices)
-    let items = [];
-    const nextDataScript = doc.querySelector('script#__NEXT_DATA__');
-    if (nextDataScript) {
-      try {
-        const nextData = JSON.parse(nextDataScript.textContent);
-        items = this.extractItemsFromNextData(nextData, orderId);
-        console.log('[Walmart Order Exporter] Store purchase: extracted', items.length, 'items from __NEXT_DATA__');
-      } catch (e) {
-        console.log('[Walmart Order Exporter] Store purchase: __NEXT_DATA__ parse failed:', e.message);
-      }
-    }
-
-    // Fallback to DOM-based approach
-    if (items.length === 0) {
-      items = this.extractItemsFromDOM(doc);
-    }
-
-    // Final fallback to receipt-style parsing
+    // Items from the page's product links, else the printed receipt lines (which carry
+    // item codes and tax codes); __NEXT_DATA__ and loose receipt text are separate strategies
+    let items = this.extractItemsFromDOM(doc);
     if (items.length === 0) {
-      items = this.extractItemsFromReceipt(doc, pageText);
+      items = receipt.lines;
     }
 
     // Extract totals
@@ -142,29 +859,81 @@ class WalmartOrderExporter {
 
     // Extract associate discount if present
     const discountMatch = pageText.match(/Associate discount\s*[-−]?\$?([\d,]+\.\d{2})/i);
-    const associateDiscount = discountMatch ? `-$${discountMatch[1]}` : '';
+    const associateDiscount = discountMatch ? this.asDiscount(this.parseMoney(discountMatch[1])) : null;
+
+    // Returned lines are printed as "RETURN" on the item's line or the line below it
+    const textLines = pageText.split('\n').map(line => line.trim()).filter(Boolean);
+    for (const item of items) {
+      if (!item.returnStatus && this.isReturnedOnReceipt(textLines, item.name)) {
+        item.returnStatus = 'returned';
+      }
+    }
 
-    // Extract store location
-    const storeLocation = this.extractStoreLocation(doc, pageText);
+    // Tender lines printed on the receipt
+    const payments = this.extractPaymentsFromText(pageText);
+
+    // Extract store location, completed from the receipt header
+    const storeLocation = {
+      ...this.extractStoreLocation(doc, pageText),
+      storeNumber: receipt.storeNumber,
+      city: receipt.city,
+      state: receipt.state,
+      zip: receipt.zip,
+      phone: receipt.phone
+    };
+    if (!storeLocation.address && receipt.street && receipt.city) {
+      storeLocation.address = `${receipt.street}, ${receipt.city}, ${receipt.state} ${receipt.zip}`;
+    }
 
     return {
-      orderId,
+      ...this.createEmptyOrder(orderId, 'store'),
       orderNumber,
-      orderType: 'store',
       orderDate,
       status,
       items,
-      subtotal: subtotalMatch ? `$${subtotalMatch[1]}` : '',
-      tax: taxMatch ? `$${taxMatch[1]}` : '',
-      total: totalMatch ? `$${totalMatch[1]}` : '',
+      subtotal: subtotalMatch ? this.parseMoney(subtotalMatch[1]) : receipt.subtotal,
+      tax: taxMatch ? this.parseMoney(taxMatch[1]) : receipt.tax,
+      total: totalMatch ? this.parseMoney(totalMatch[1]) : receipt.total,
       associateDiscount,
-      driverTip: '',
-      deliveryFee: '',
-      expressFee: '',
+      discounts: associateDiscount ? [{ label: 'Associate discount', type: 'associate', amount: associateDiscount }] : [],
+      payments,
+      refunds: this.extractRefundsFromText(pageText),
+      storeReceipt: {
+        register: receipt.register,
+        operator: receipt.operator,
+        transactionNumber: receipt.transactionNumber,
+        transactionTime: receipt.transactionTime,
+        itemsSold: receipt.itemsSold,
+        taxLines: receipt.taxLines,
+        changeDue: receipt.changeDue
+      },
       storeLocation
     };
   }
 
+  /**
+   * Whether a receipt marks an item as returned: a line starting with the item's name
+   * carries RETURN, or the line below it does and is not itself an item line
+   * @param {string[]} lines - Trimmed, non-empty lines of the receipt text
+   * @param {string} name - Item name
+   */
+  isReturnedOnReceipt(lines, name) {
+    if (!name) return false;
+
+    const returnPattern = /\bRETURN(?:ED)?\b/;
+    const namePattern = new RegExp(`^${this.escapeRegExp(name)}(?:\\s|$)`);
+    return lines.some((line, i) => {
+      if (!namePattern.test(line)) return false;
+      // A printed item line belongs to another item when its name only starts with this one
+      const itemMatch = line.match(RECEIPT_ITEM_LINE_PATTERN);
+      if (itemMatch && itemMatch[1].trim() !== name) return false;
+      if (returnPattern.test(line.slice(name.length))) return true;
+
+      const next = lines[i + 1];
+      return !!next && !RECEIPT_ITEM_LINE_PATTERN.test(next) && returnPattern.test(next);
+    });
+  }
+
   /**
    * Extract items from receipt-style format (fallback for store purchases)
    */
@@ -178,7 +947,7 @@ class WalmartOrderExporter {
     productLinks.forEach(link => {
       const name = link.textContent?.trim();
       if (name && name.length > 5 && name.length < 300 && !seen.has(name) && this.isValidProductName(name)) {
-        let price = '';
+        let price = null;
         let quantity = 1;
 
         // Traverse up to find price
@@ -189,7 +958,7 @@ class WalmartOrderExporter {
             const containerText = container.innerText || '';
             const priceMatch = containerText.match(/\$(\d+\.\d{2})/);
             if (priceMatch) {
-              price = `$${priceMatch[1]}`;
+              price = this.parseMoney(priceMatch[1]);
             }
             const qtyMatch = containerText.match(/Qty\s*(\d+)/i);
             if (qtyMatch) {
@@ -204,7 +973,8 @@ class WalmartOrderExporter {
           name,
           quantity,
           price,
-          priceValue: price ? parseFloat(price.replace('$', '')) : 0
+          ...(this.parseMeasureText(container?.innerText || '') || { unitOfMeasure: '', measuredQuantity: null, unitPrice: null }),
+          ...this.extractProductIdentifiers({ productUrl: link.getAttribute('href') })
         });
       }
     });
@@ -214,6 +984,8 @@ class WalmartOrderExporter {
     if (items.length === 0) {
       const lines = pageText.split('\n');
       for (const line of lines) {
+        const measure = this.parseMeasureText(line);
+
         // Match lines that look like: "Product Name  $12.34" or "Product Name $12.34 Qty 2"
         const itemMatch = line.match(/^(.{10,80})\s+\$(\d+\.\d{2})(?:\s*(?:Qty\s*)?(\d+))?/);
         if (itemMatch) {
@@ -223,10 +995,13 @@ class WalmartOrderExporter {
             items.push({
               name,
               quantity: itemMatch[3] ? parseInt(itemMatch[3]) : 1,
-              price: `$${itemMatch[2]}`,
-              priceValue: parseFloat(itemMatch[2])
+              price: this.parseMoney(itemMatch[2]),
+              ...(measure || { unitOfMeasure: '', measuredQuantity: null, unitPrice: null })
             });
           }
+        } else if (measure && items.length > 0 && !items[items.length - 1].unitOfMeasure) {
+          // Weighed items print their measure on the line after the item, e.g. "2.31 lb @ 0.98 /lb"
+          Object.assign(items[items.length - 1], measure);
         }
       }
     }
@@ -235,15 +1010,27 @@ class WalmartOrderExporter {
   }
 
   /**
-   * Extract order data directly from the visible order list page
-   * This is more reliable than fetching individual pages since content is already rendered
+   * Extract order data directly from an order list page
+   * Reads the visible page by default, which is more reliable than fetching individual
+   * order pages since content is already rendered; a fetched list page can be passed as root.
+   * A fetched page is read from its __NEXT_DATA__ first, with its DOM as the fallback.
    */
-  extractOrderDataFromListPage() {
+  extractOrderDataFromListPage(root = document) {
+    // The visible tab's __NEXT_DATA__ stays on the first page it loaded after
+    // client-side navigation, so only fetched pages are read from it
+    if (root !== document) {
+      const nextDataOrders = this.extractOrderDataFromListNextData(this.readNextData(root));
+      if (nextDataOrders?.length) {
+        console.log('[Walmart Order Exporter] Extracted', nextDataOrders.length, 'orders from list page __NEXT_DATA__');
+        return nextDataOrders;
+      }
+    }
+
     const orders = [];
     const seenOrderIds = new Set();
 
     // Primary method: Find order containers by data-testid pattern (order-0, order-1, etc.)
-    const orderContainers = document.querySelectorAll('[data-testid]');
+    const orderContainers = root.querySelectorAll('[data-testid]');
     const validOrderContainers = Array.from(orderContainers).filter(el =>
       /^order-\d+$/.test(el.dataset.testid)
     );
@@ -300,11 +1087,13 @@ class WalmartOrderExporter {
           status = 'On the way';
         } else if (containerText.includes('Store purchase')) {
           status = 'Store purchase';
+        } else if (/\bCancell?ed\b/.test(containerText)) {
+          status = 'Canceled';
         }
 
         // Extract order total
-        const totalMatch = containerText.match(/Order total \$([\d,]+\.\d{2})/);
-        const total = totalMatch ? `$${totalMatch[1]}` : '';
+        const totalMatch = containerText.match(/Order total\s*\$([\d,]+\.\d{2})/);
+        const total = totalMatch ? this.parseMoney(totalMatch[1]) : null;
 
         // Extract items from image alt texts
         const items = this.extractItemsFromOrderContainer(container);
@@ -313,30 +1102,21 @@ class WalmartOrderExporter {
         const isStore = containerText.includes('Store purchase') || containerText.includes('TC#');
 
         orders.push({
-          orderId,
-          orderNumber: orderId,
-          orderType: isStore ? 'store' : 'online',
+          ...this.createEmptyOrder(orderId, isStore ? 'store' : 'online'),
           orderDate,
           status,
           items,
-          subtotal: '',
-          tax: '',
-          total,
-          associateDiscount: '',
-          driverTip: '',
-          deliveryFee: '',
-          expressFee: '',
-          storeLocation: { name: '', address: '' }
+          total
         });
 
-        console.log('[Walmart Order Exporter] Extracted order', orderId, '- status:', status, 'date:', orderDate, 'items:', items.length, 'total:', total);
+        console.log('[Walmart Order Exporter] Extracted order', orderId, '- status:', status, 'date:', orderDate, 'items:', items.length, 'total:', this.formatMoney(total));
       });
     }
 
     // Fallback: Try the legacy method with return links if no orders found
     if (orders.length === 0) {
       console.log('[Walmart Order Exporter] No orders found via data-testid, trying return links fallback');
-      const returnLinks = document.querySelectorAll('a[href*="/orders/"][href*="/returns"]');
+      const returnLinks = root.querySelectorAll('a[href*="/orders/"][href*="/returns"]');
       console.log('[Walmart Order Exporter] Found', returnLinks.length, 'return links');
 
       returnLinks.forEach(returnLink => {
@@ -366,27 +1146,18 @@ class WalmartOrderExporter {
           status = 'Store purchase';
         }
 
-        const totalMatch = containerText.match(/Order total \$([\d,]+\.\d{2})/);
-        const total = totalMatch ? `$${totalMatch[1]}` : '';
+        const totalMatch = containerText.match(/Order total\s*\$([\d,]+\.\d{2})/);
+        const total = totalMatch ? this.parseMoney(totalMatch[1]) : null;
 
         const items = this.extractItemsFromOrderContainer(orderContainer);
         const isStore = containerText.includes('Store purchase') || containerText.includes('TC#');
 
         orders.push({
-          orderId,
-          orderNumber: orderId,
-          orderType: isStore ? 'store' : 'online',
+          ...this.createEmptyOrder(orderId, isStore ? 'store' : 'online'),
           orderDate,
           status,
           items,
-          subtotal: '',
-          tax: '',
-          total,
-          associateDiscount: '',
-          driverTip: '',
-          deliveryFee: '',
-          expressFee: '',
-          storeLocation: { name: '', address: '' }
+          total
         });
 
         console.log('[Walmart Order Exporter] Extracted order (fallback)', orderId);
@@ -397,6 +1168,93 @@ class WalmartOrderExporter {
     return orders;
   }
 
+  /**
+   * Read the order list and its pagination from a list page's __NEXT_DATA__
+   * Returns {orders, nextPageUrl, hasNextPage} with the raw order objects, or null when
+   * the page carries no order list. nextPageUrl is the next page's URL as given by the
+   * pagination data (possibly relative), or null; hasNextPage is null when the data doesn't say.
+   */
+  getOrderListFromNextData(nextData) {
+    const pageProps = nextData?.props?.pageProps;
+    if (!pageProps) return null;
+
+    const data = pageProps.initialData?.data || {};
+    const history = [
+      data.orderHistoryV2,
+      data.orderHistory,
+      data.purchaseHistory,
+      pageProps.orderHistory,
+      pageProps.purchaseHistory
+    ].find(value => value && typeof value === 'object');
+    if (!history) return null;
+
+    const orders = [history.orders, history.orderGroups, history.orderList].find(Array.isArray);
+    if (!orders) return null;
+
+    const pageInfo = history.pageInfo || history.pagination || {};
+    const nextUrl = [pageInfo.nextPageUrl, pageInfo.nextUrl, pageInfo.next?.url, pageInfo.next?.href]
+      .find(value => typeof value === 'string' && value);
+    const nextPageUrl = nextUrl || null;
+    let hasNextPage = null;
+    if (typeof pageInfo.hasNextPage === 'boolean') {
+      hasNextPage = pageInfo.hasNextPage;
+    } else if (nextPageUrl) {
+      hasNextPage = true;
+    }
+
+    return { orders, nextPageUrl, hasNextPage };
+  }
+
+  /**
+   * Extract orders from a list page's __NEXT_DATA__ in the same shape as
+   * extractOrderDataFromListPage. Each order's items, totals and discounts are read
+   * like an order page's (extractWithNextData), so they carry prices when the list has them.
+   * Returns null when the page carries no order list.
+   */
+  extractOrderDataFromListNextData(nextData) {
+    const list = this.getOrderListFromNextData(nextData);
+    if (!list) return null;
+
+    const orders = [];
+    const seenOrderIds = new Set();
+
+    for (const listOrder of list.orders) {
+      const orderId = String(listOrder?.id || listOrder?.orderId || '');
+      if (!/^\d+$/.test(orderId) || seenOrderIds.has(orderId)) continue;
+      seenOrderIds.add(orderId);
+
+      const kind = [listOrder.type, listOrder.orderType, listOrder.fulfillmentType]
+        .filter(value => typeof value === 'string').join(' ');
+      const isStore = !!(listOrder.isInStore || listOrder.isStorePurchase) || /IN_?STORE|STORE_?PURCHASE/i.test(kind);
+      const status = (typeof listOrder.status === 'string' ? listOrder.status : listOrder.status?.statusType?.text) ||
+        listOrder.orderStatus || (isStore ? 'Store purchase' : 'Unknown');
+
+      // The list entry has the same shape as the order on an order page
+      const details = this.extractWithNextData({ orderId, nextData: { props: { pageProps: { initialData: { data: { order: listOrder } } } } } });
+
+      orders.push({
+        ...this.createEmptyOrder(orderId, isStore ? 'store' : 'online'),
+        orderDate: details.orderDate || 'Unknown',
+        status,
+        items: details.items,
+        subtotal: details.subtotal || null,
+        tax: details.tax || null,
+        total: details.total || this.parseMoney(listOrder.orderTotal ?? listOrder.total ?? null),
+        associateDiscount: details.associateDiscount || null,
+        driverTip: details.driverTip || null,
+        deliveryFee: details.deliveryFee || null,
+        expressFee: details.expressFee || null,
+        discounts: details.discounts || [],
+        payments: details.payments || [],
+        fulfillment: details.fulfillment || null,
+        shipments: details.shipments,
+        refunds: details.refunds || []
+      });
+    }
+
+    return orders;
+  }
+
   /**
    * Find the order container element by traversing up from a child element
    * Looks for data-testid pattern or common container indicators
@@ -494,14 +1352,16 @@ class WalmartOrderExporter {
   }
 
   /**
-   * Fetch detailed item info from order detail page (includes prices)
+   * Fetch an order's page and parse it off-DOM
+   * Returns {doc, nextData} (nextData is null when the page has no __NEXT_DATA__),
+   * or null when the page could not be fetched.
    */
-  async fetchDetailedItems(orderId, isStore = false) {
+  async fetchOrderPage(orderId, isStore = false) {
     try {
-      const orderUrl = `https://www.walmart.com/orders/${orderId}${isStore ? '?storePurchase=true' : ''}`;
-      console.log('[Walmart Order Exporter] Fetching detailed items for order:', orderId);
+      const orderUrl = this.getOrderPageUrl(orderId, isStore);
+      console.log('[Walmart Order Exporter] Fetching order page:', orderId);
 
-      const response = await fetch(orderUrl, {
+      const response = await this.scheduler.fetch(orderUrl, {
         credentials: 'include',
         headers: {
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
@@ -513,46 +1373,54 @@ class WalmartOrderExporter {
         return null;
       }
 
-      const html = await response.text();
+      const html = response.body;
       const parser = new DOMParser();
       const doc = parser.parseFromString(html, 'text/html');
 
-      // Look for __NEXT_DATA__ which contains the order details
-      const nextDataScript = doc.querySelector('script#__NEXT_DATA__');
-      if (!nextDataScript) {
-        console.log('[Walmart Order Exporter] No __NEXT_DATA__ found');
-        return null;
-      }
-
-      const nextData = JSON.parse(nextDataScript.textContent);
-      const items = this.extractItemsFromNextData(nextData, orderId);
+      return { doc, nextData: this.readNextData(doc) };
+    } catch (error) {
+      console.error('[Walmart Order Exporter] Error fetching order page:', error);
+      return null;
+    }
+  }
 
-      console.log('[Walmart Order Exporter] Extracted', items.length, 'detailed items for order', orderId);
+  /**
+   * URL of an order's details page
+   */
+  getOrderPageUrl(orderId, isStore = false) {
+    return `https://www.walmart.com/orders/${orderId}${isStore ? '?storePurchase=true' : ''}`;
+  }
 
-      // Extract order metadata (date, subtotal, tax, fees, discounts) for all orders
-      const orderMeta = this.extractOrderMetaFromNextData(nextData);
-      if (orderMeta) {
-        console.log('[Walmart Order Exporter] Extracted order metadata:', orderMeta);
-      }
+  /**
+   * Parse a page's __NEXT_DATA__ script, or null when it is missing or malformed
+   */
+  readNextData(doc) {
+    const nextDataScript = doc.querySelector('script#__NEXT_DATA__');
+    if (!nextDataScript) {
+      console.log('[Walmart Order Exporter] No __NEXT_DATA__ found');
+      return null;
+    }
 
-      return { items, orderMeta };
+    try {
+      return JSON.parse(nextDataScript.textContent);
     } catch (error) {
-      console.error('[Walmart Order Exporter] Error fetching detailed items:', error);
+      console.log('[Walmart Order Exporter] __NEXT_DATA__ parse failed:', error.message);
       return null;
     }
   }
 
   /**
-   * Extract items from Next.js data structure
+   * Extract shipments from Next.js data structure
+   * Each order group becomes a shipment with its own status, tracking and items.
+   * Every item carries the shipmentIndex of the shipment it belongs to.
    */
-  extractItemsFromNextData(nextData, orderId) {
-    const items = [];
-    const seen = new Set();
+  extractShipmentsFromNextData(nextData, orderId) {
+    const shipments = [];
 
     try {
       // Navigate through the Next.js data structure to find order items
       const pageProps = nextData?.props?.pageProps;
-      if (!pageProps) return items;
+      if (!pageProps) return shipments;
 
       // Try different possible paths to find order groups/items
       // Current Walmart structure (2024+): pageProps.initialData.data.order.groups_2101
@@ -572,1439 +1440,4823 @@ class WalmartOrderExporter {
 
         for (const group of orderGroups) {
           const lineItems = group?.items || group?.lineItems || [];
+          const items = [];
+          // Lines repeated within a group are dropped; the same product in another group is its own item
+          const seen = new Set();
 
           for (const lineItem of lineItems) {
             // Current Walmart structure: item has productInfo.name and priceInfo.linePrice
             const productInfo = lineItem?.productInfo || lineItem?.item || lineItem?.product || lineItem;
             const name = productInfo?.name || productInfo?.productName || lineItem?.name || lineItem?.description || '';
 
-            if (!name || seen.has(name)) continue;
-            seen.add(name);
+            const lineKey = lineItem?.id || lineItem?.lineId || name;
+            if (!name || seen.has(lineKey)) continue;
+            seen.add(lineKey);
 
             // Extract price - try various structures
-            let price = 0;
-            let priceStr = '';
-
             // Current Walmart structure: priceInfo.linePrice.value
-            const priceInfo = lineItem?.priceInfo;
-            if (priceInfo?.linePrice) {
-              if (typeof priceInfo.linePrice === 'object') {
-                price = priceInfo.linePrice.value || priceInfo.linePrice.amount || 0;
-                priceStr = priceInfo.linePrice.displayValue || '';
-              } else if (typeof priceInfo.linePrice === 'number') {
-                price = priceInfo.linePrice;
-              }
-            }
+            let price = this.parseMoney(lineItem?.priceInfo?.linePrice);
 
             // Fallback: try linePrice directly on lineItem
-            if (!price) {
+            if (!price?.cents) {
               const linePrice = lineItem?.linePrice || lineItem?.price || lineItem?.chargeAmount;
               if (linePrice) {
-                if (typeof linePrice === 'number') {
-                  price = linePrice;
-                } else if (typeof linePrice === 'object') {
-                  price = linePrice?.value || linePrice?.amount || linePrice?.price || 0;
-                } else if (typeof linePrice === 'string') {
-                  price = parseFloat(linePrice.replace(/[$,]/g, '')) || 0;
-                }
+                price = this.parseMoney(linePrice);
               }
             }
 
             // Fallback: try unit price
-            if (!price) {
+            if (!price?.cents) {
               const unitPrice = productInfo?.price || productInfo?.salePrice || lineItem?.unitPrice;
               if (unitPrice) {
-                if (typeof unitPrice === 'number') {
-                  price = unitPrice;
-                } else if (typeof unitPrice === 'object') {
-                  price = unitPrice?.value || unitPrice?.amount || unitPrice?.price || 0;
-                }
+                price = this.parseMoney(unitPrice);
               }
             }
 
-            if (price > 0 && !priceStr) {
-              priceStr = `$${price.toFixed(2)}`;
-            }
-
             const quantity = lineItem?.quantity || productInfo?.quantity || 1;
 
             items.push({
               name,
               quantity,
-              price: priceStr,
-              priceValue: price
+              price: price?.cents ? price : null,
+              ...this.extractItemSavings(lineItem, productInfo, quantity),
+              ...this.extractItemMeasure(lineItem, productInfo),
+              ...this.extractItemTax(lineItem, productInfo),
+              ...this.extractItemReturn(lineItem, group),
+              ...this.extractItemSubstitution(lineItem, group),
+              ...this.extractItemSeller(lineItem, productInfo, group),
+              ...this.extractProductIdentifiers(productInfo, lineItem)
             });
 
-            console.log('[Walmart Order Exporter] Detailed item:', name.substring(0, 40), 'price:', priceStr, 'qty:', quantity);
+            console.log('[Walmart Order Exporter] Detailed item:', name.substring(0, 40), 'price:', this.formatMoney(price), 'qty:', quantity);
+          }
+
+          if (items.length > 0) {
+            items.forEach(item => { item.shipmentIndex = shipments.length; });
+            shipments.push({ ...this.extractShipmentInfo(group, lineItems), items });
           }
         }
 
         // If we found items, stop trying other paths
-        if (items.length > 0) break;
+        if (shipments.length > 0) break;
       }
 
       // If no items found via orderGroups, try looking for items directly
-      if (items.length === 0) {
+      if (shipments.length === 0) {
+        const items = [];
+        const seen = new Set();
         const directItems = pageProps?.initialData?.data?.order?.items ||
                            pageProps?.orderDetails?.items ||
                            pageProps?.items || [];
         for (const item of directItems) {
           const name = item?.productInfo?.name || item?.name || item?.productName || '';
-          if (!name || seen.has(name)) continue;
-          seen.add(name);
+          const lineKey = item?.id || item?.lineId || name;
+          if (!name || seen.has(lineKey)) continue;
+          seen.add(lineKey);
 
-          let price = 0;
-          if (item?.priceInfo?.linePrice) {
-            price = item.priceInfo.linePrice.value || item.priceInfo.linePrice.amount || 0;
-          } else if (item?.price || item?.linePrice) {
-            const p = item.price || item.linePrice;
-            price = typeof p === 'object' ? (p?.value || p?.amount || 0) : (typeof p === 'number' ? p : 0);
-          }
+          const price = this.parseMoney(item?.priceInfo?.linePrice || item?.price || item?.linePrice);
 
           items.push({
             name,
             quantity: item?.quantity || 1,
-            price: price > 0 ? `$${price.toFixed(2)}` : '',
-            priceValue: price
+            price: price?.cents ? price : null,
+            ...this.extractItemSavings(item, item?.productInfo, item?.quantity || 1),
+            ...this.extractItemMeasure(item, item?.productInfo),
+            ...this.extractItemTax(item, item?.productInfo),
+            ...this.extractItemReturn(item, null),
+            ...this.extractItemSubstitution(item, null),
+            ...this.extractItemSeller(item, item?.productInfo, null),
+            ...this.extractProductIdentifiers(item?.productInfo, item)
           });
         }
+
+        if (items.length > 0) {
+          items.forEach(item => { item.shipmentIndex = 0; });
+          shipments.push({ ...this.extractShipmentInfo(null, directItems), items });
+        }
       }
     } catch (error) {
       console.error('[Walmart Order Exporter] Error parsing Next.js data:', error);
     }
 
-    return items;
+    return shipments;
   }
 
   /**
-   * Extract order metadata (date, subtotal, tax, fees, discounts) from Next.js data structure
-   * Used for orders where list page extraction may miss these fields
-   * Primary data source: order.priceDetails (confirmed via browser inspection)
+   * Pull status, delivery date, carrier, tracking and seller for one order group
+   * Returns the shipment fields without items; missing values are ''.
    */
-  extractOrderMetaFromNextData(nextData) {
-    try {
-      const pageProps = nextData?.props?.pageProps;
-      if (!pageProps) return null;
+  extractShipmentInfo(group, lineItems = []) {
+    const g = group || {};
+    const text = value => (value === undefined || value === null ? '' : String(value).trim());
 
-      // Try different paths to find order data
-      const order = pageProps?.initialData?.data?.order ||
-                    pageProps?.orderDetails ||
-                    pageProps?.order;
+    const statusValue = typeof g.status === 'string'
+      ? g.status
+      : g.status?.statusType?.text || g.status?.text || g.status?.label || g.status?.message?.parts?.map(part => part.text).join('') || g.deliveryMessage;
 
-      if (!order) return null;
+    const tracking = [g.tracking, g.trackingInfo, g.shipment, g.shipments, g.packages]
+      .map(value => (Array.isArray(value) ? value[0] : value))
+      .find(value => value && typeof value === 'object') || {};
 
-      const meta = {};
+    const firstLine = lineItems.find(line => line?.seller || line?.sellerName || line?.soldBy) || {};
+    const seller = g.seller?.name || g.sellerName || g.soldBy ||
+      firstLine.seller?.name || firstLine.sellerName || firstLine.soldBy || '';
 
-      // Extract order date
-      if (order.orderDate) {
-        meta.orderDate = order.orderDate;
-      }
+    return {
+      id: text(g.id || g.groupId || g.shipmentId),
+      status: text(statusValue),
+      deliveredDate: text(g.deliveredDate || g.status?.deliveredDate || g.actualDeliveryDate || tracking.deliveredDate),
+      carrier: text(tracking.carrier?.name || tracking.carrierName || tracking.carrier || g.carrier),
+      trackingNumber: text(tracking.trackingNumber || tracking.number || tracking.trackingId || g.trackingNumber),
+      trackingUrl: text(tracking.trackingUrl || tracking.url || g.trackingUrl),
+      seller: text(typeof seller === 'string' ? seller : seller?.name),
+      fulfillmentType: this.normalizeFulfillmentType(g.fulfillmentType || g.deliveryMethod)
+    };
+  }
 
-      // Use priceDetails (primary - confirmed via browser inspection) or orderSummary (fallback)
-      const priceDetails = order.priceDetails || order.orderSummary || order.summary;
-      if (priceDetails) {
-        // Subtotal
-        if (priceDetails.subTotal !== undefined) {
-          meta.subtotal = this.extractDisplayValue(priceDetails.subTotal);
-        } else if (priceDetails.subtotal !== undefined) {
-          meta.subtotal = this.extractDisplayValue(priceDetails.subtotal);
-        }
+  /**
+   * Index into getShipments(order) of the shipment an item belongs to, or -1
+   * Uses the item's shipmentIndex, so it survives copies of the order (e.g. checkpoints).
+   */
+  getItemShipmentIndex(order, item) {
+    if (!item) return -1;
+    // Orders without shipment data ship as a single group
+    if (!order.shipments?.length) return 0;
+    return Number.isInteger(item.shipmentIndex) && item.shipmentIndex < order.shipments.length ? item.shipmentIndex : -1;
+  }
 
-        // Tax
-        if (priceDetails.taxTotal !== undefined) {
-          meta.tax = this.extractDisplayValue(priceDetails.taxTotal);
-        } else if (priceDetails.tax !== undefined) {
-          meta.tax = this.extractDisplayValue(priceDetails.tax);
-        }
+  /**
+   * Shipment that contains the given item, or null
+   */
+  findItemShipment(order, item) {
+    const index = this.getItemShipmentIndex(order, item);
+    return index >= 0 ? this.getShipments(order)[index] : null;
+  }
 
-        // Total
-        if (priceDetails.grandTotal !== undefined) {
-          meta.total = this.extractDisplayValue(priceDetails.grandTotal);
-        } else if (priceDetails.total !== undefined) {
-          meta.total = this.extractDisplayValue(priceDetails.total);
-        }
+  /**
+   * Shipments for an order; orders without shipment data ship as one group
+   */
+  getShipments(order) {
+    if (order.shipments?.length) return order.shipments;
+
+    return [{
+      id: '',
+      status: order.status || '',
+      deliveredDate: order.fulfillment?.deliveredAt || '',
+      carrier: '',
+      trackingNumber: '',
+      trackingUrl: '',
+      seller: '',
+      fulfillmentType: this.getFulfillmentType(order),
+      items: order.items || []
+    }];
+  }
 
-        // Driver Tip
-        if (priceDetails.driverTip) {
-          meta.driverTip = this.extractDisplayValue(priceDetails.driverTip);
-        }
+  /**
+   * Pull list price, rollback/clearance flags and item promotions for a line item
+   * listPrice is the line's price before savings (unit list price × quantity when
+   * only a unit price is given).
+   */
+  extractItemSavings(lineItem, productInfo, quantity) {
+    const line = lineItem || {};
+    const info = productInfo || {};
+    const priceInfo = line.priceInfo || {};
 
-        // Associate Discount (from discounts array)
-        if (priceDetails.discounts && Array.isArray(priceDetails.discounts)) {
-          const assocDiscount = priceDetails.discounts.find(d =>
-            d.label?.toLowerCase().includes('associate') ||
-            d.label?.toLowerCase().includes('employee')
-          );
-          if (assocDiscount) {
-            meta.associateDiscount = this.extractDisplayValue(assocDiscount);
-          }
-        }
+    let listPrice = this.parseMoney(
+      priceInfo.linePriceBeforeSavings || priceInfo.originalLinePrice || line.originalLinePrice || null
+    );
+    if (!listPrice) {
+      const unitList = this.parseMoney(
+        priceInfo.wasPrice || priceInfo.listPrice || priceInfo.strikeThroughPrice || priceInfo.originalPrice ||
+        info.wasPrice || info.listPrice || null
+      );
+      if (unitList) {
+        listPrice = { cents: unitList.cents * (Number(quantity) || 1), currency: unitList.currency };
+      }
+    }
 
-        // Delivery Fee and Express Fee (from fees array)
-        if (priceDetails.fees && Array.isArray(priceDetails.fees)) {
-          // Look for delivery fee (various possible labels)
-          const deliveryFee = priceDetails.fees.find(f =>
-            /delivery/i.test(f.label) && !/express/i.test(f.label)
-          );
-          if (deliveryFee) {
-            meta.deliveryFee = this.extractDisplayValue(deliveryFee);
-          }
+    const codes = priceInfo.priceDisplayCodes || info.priceDisplayCodes || {};
+    const badges = [line.badges, info.badges, line.flags, priceInfo.badges]
+      .filter(Array.isArray)
+      .flat()
+      .map(badge => (typeof badge === 'string' ? badge : [badge?.key, badge?.id, badge?.text, badge?.label].join(' ')))
+      .join(' ');
 
-          // Look for express fee
-          const expressFee = priceDetails.fees.find(f =>
-            /express/i.test(f.label)
-          );
-          if (expressFee) {
-            meta.expressFee = this.extractDisplayValue(expressFee);
-          }
-        }
-      }
+    const promotionEntries = [line.discounts, line.promotions, priceInfo.discounts, priceInfo.promotions]
+      .find(Array.isArray) || [];
 
-      return Object.keys(meta).length > 0 ? meta : null;
-    } catch (error) {
-      console.error('[Walmart Order Exporter] Error extracting order meta:', error);
-      return null;
-    }
+    return {
+      listPrice: listPrice?.cents ? listPrice : null,
+      rollback: Boolean(codes.rollback || priceInfo.isRollback || info.isRollback || /rollback/i.test(badges)),
+      clearance: Boolean(codes.clearance || priceInfo.isClearance || info.isClearance || /clearance/i.test(badges)),
+      promotions: promotionEntries
+        .map(entry => this.parseDiscountEntry(entry, 'Promotion'))
+        .filter(discount => discount.amount?.cents)
+    };
   }
 
   /**
-   * Extract display value from price detail object or primitive
-   * Handles structures like {label, value, displayValue} or plain numbers/strings
+   * Pull the unit of measure, measured quantity and price per unit for items sold by weight
+   * Returns {unitOfMeasure, measuredQuantity, unitPrice}; unitOfMeasure is '' and the
+   * others null when Walmart doesn't provide them.
    */
-  extractDisplayValue(priceObj) {
-    if (priceObj === null || priceObj === undefined) return '';
+  extractItemMeasure(lineItem, productInfo) {
+    const line = lineItem || {};
+    const info = productInfo || {};
+    const priceInfo = line.priceInfo || {};
+    const weight = line.weight || line.measuredWeight || line.receivedWeight || line.orderedWeight || {};
+
+    const unitText = [
+      weight.unitOfMeasure, weight.unit, line.unitOfMeasure, line.uom, line.weightUnit,
+      info.unitOfMeasure, info.salesUnit, info.salesUnitType,
+      priceInfo.unitPrice?.unitOfMeasure, priceInfo.pricePerUnit?.unit, priceInfo.unitPriceDisplayCondition
+    ].find(value => typeof value === 'string' && this.normalizeUnit(value));
+
+    const rawQuantity = weight.value ?? weight.amount ?? line.measuredQuantity ?? line.weightValue ?? null;
+    const measuredQuantity = rawQuantity !== null && isFinite(parseFloat(rawQuantity)) ? parseFloat(rawQuantity) : null;
+
+    const unitPrice = this.parseMoney(
+      priceInfo.pricePerUnit?.price || priceInfo.pricePerUnit || priceInfo.unitPrice || line.unitPrice || null
+    );
+
+    // Display strings such as "$0.98/lb" or "2.31 lb @ 0.98 /lb" cover pages without structured fields
+    const displayMeasure = this.parseMeasureText(
+      [priceInfo.unitPriceDisplay, priceInfo.pricePerUnitDisplay, line.weightDisplay, line.quantityLabel]
+        .filter(value => typeof value === 'string').join(' ')
+    );
 
-    // If it's already a string, return it (possibly add $ if missing)
-    if (typeof priceObj === 'string') {
-      return priceObj.startsWith('$') || priceObj.startsWith('-$') ? priceObj : `$${priceObj}`;
+    const unitOfMeasure = this.normalizeUnit(unitText) || displayMeasure?.unitOfMeasure || '';
+    if (!unitOfMeasure || (unitOfMeasure === 'each' && measuredQuantity === null && !displayMeasure)) {
+      return { unitOfMeasure: '', measuredQuantity: null, unitPrice: null };
     }
 
-    // If it's a number, format it
-    if (typeof priceObj === 'number') {
-      return `$${priceObj.toFixed(2)}`;
+    return {
+      unitOfMeasure,
+      measuredQuantity: measuredQuantity ?? displayMeasure?.measuredQuantity ?? null,
+      unitPrice: displayMeasure?.unitPrice || (unitPrice?.cents ? unitPrice : null)
+    };
+  }
+
+  /**
+   * Parse a measured quantity and price per unit from text
+   * Handles receipt lines ("2.31 lb @ 0.98 /lb", "1.5 LB @ $1.24/LB") and unit prices ("$0.98/lb").
+   * Returns {unitOfMeasure, measuredQuantity, unitPrice} or null.
+   */
+  parseMeasureText(text) {
+    if (!text) return null;
+
+    const units = 'lbs?|oz|kg|g|each|ea';
+    const weighed = text.match(new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(${units})\\s*@\\s*\\$?\\s*(\\d+(?:\\.\\d+)?)\\s*\\/\\s*(${units})\\b`, 'i'));
+    if (weighed) {
+      return {
+        unitOfMeasure: this.normalizeUnit(weighed[4]),
+        measuredQuantity: parseFloat(weighed[1]),
+        unitPrice: this.parseMoney(parseFloat(weighed[3]))
+      };
     }
 
-    // If it's an object, try to get displayValue or format value
-    if (typeof priceObj === 'object') {
-      if (priceObj.displayValue) {
-        return priceObj.displayValue;
-      }
-      if (priceObj.value !== undefined) {
-        const val = priceObj.value;
-        if (typeof val === 'number') {
-          return `$${val.toFixed(2)}`;
-        }
-        return String(val);
-      }
-      if (priceObj.amount !== undefined) {
-        const amt = priceObj.amount;
-        if (typeof amt === 'number') {
-          return `$${amt.toFixed(2)}`;
-        }
-        return String(amt);
-      }
+    const perUnit = text.match(new RegExp(`\\$\\s*(\\d+(?:\\.\\d+)?)\\s*\\/\\s*(${units})\\b`, 'i'));
+    if (perUnit) {
+      return {
+        unitOfMeasure: this.normalizeUnit(perUnit[2]),
+        measuredQuantity: null,
+        unitPrice: this.parseMoney(parseFloat(perUnit[1]))
+      };
     }
 
+    return null;
+  }
+
+  /**
+   * Normalize a unit of measure to lb, oz, kg, g or each ('' when unrecognized)
+   */
+  normalizeUnit(value) {
+    const unit = String(value || '').trim().toLowerCase();
+    if (/^(lbs?|pounds?|weight_lb)$/.test(unit)) return 'lb';
+    if (/^(oz|ounces?)$/.test(unit)) return 'oz';
+    if (/^(kg|kilograms?)$/.test(unit)) return 'kg';
+    if (/^(g|grams?)$/.test(unit)) return 'g';
+    if (/^(each|ea|unit|units)$/.test(unit)) return 'each';
     return '';
   }
 
   /**
-   * Extract items from an order container using image alt text
+   * Pull the taxable flag, tax code and line tax for a line item
+   * Returns {taxable, taxCode, tax}; taxable is null and tax is null when the order
+   * data doesn't expose them.
    */
-  extractItemsFromOrderContainer(container) {
-    if (!container) return [];
+  extractItemTax(lineItem, productInfo) {
+    const line = lineItem || {};
+    const info = productInfo || {};
+    const taxInfo = line.taxInfo || line.taxDetails || {};
+
+    const taxable = [line.isTaxable, line.taxable, taxInfo.isTaxable, taxInfo.taxable, info.isTaxable, info.taxable]
+      .find(value => typeof value === 'boolean');
+    const taxCode = String(line.taxCode || taxInfo.taxCode || taxInfo.code || info.taxCode || '').trim();
+    const tax = this.parseMoney(
+      line.priceInfo?.taxAmount || line.priceInfo?.tax || taxInfo.amount || taxInfo.taxAmount ||
+      line.taxAmount || (typeof line.tax === 'object' || typeof line.tax === 'number' ? line.tax : null) || null
+    );
 
-    const items = [];
-    const seen = new Set();
+    return {
+      taxable: taxable ?? (tax ? tax.cents > 0 : null),
+      taxCode,
+      tax
+    };
+  }
 
-    // Find all images with alt text (product images)
-    const images = container.querySelectorAll('img[alt]');
+  /**
+   * Taxable flag for a store receipt tax code: "N" is not taxed, any other letter is
+   * Returns null when the line has no code.
+   */
+  isTaxableCode(code) {
+    if (!code) return null;
+    return code.toUpperCase() !== 'N';
+  }
 
-    images.forEach(img => {
-      let name = img.alt?.trim();
-      if (!name || name.length < 10 || name.length > 300) return;
+  /**
+   * Detect grocery substitutions, unavailable items and items rejected at handoff
+   * Returns {fulfillmentStatus, substitution}; fulfillmentStatus is '', 'substituted',
+   * 'unavailable' or 'rejected' and substitution describes the requested item as
+   * {requestedName, requestedPrice, requestedUsItemId} (null unless substituted).
+   */
+  extractItemSubstitution(lineItem, group) {
+    const line = lineItem || {};
+    const original = line.substitutedFor || line.originalItem || line.requestedItem ||
+      line.substitution?.originalItem || line.substitution?.requestedItem || null;
+
+    const statusText = [
+      typeof line.status === 'string' ? line.status : line.status?.text || line.status?.statusType?.text,
+      line.itemStatus,
+      line.fulfillmentStatus,
+      line.substitutionStatus,
+      group?.name,
+      group?.category,
+      group?.categoryType,
+      group?.title
+    ].filter(value => typeof value === 'string').join(' ');
+
+    let fulfillmentStatus = '';
+    if (original || line.isSubstitute || line.substituted || /substitut/i.test(statusText)) {
+      fulfillmentStatus = 'substituted';
+    }
+    // A substitute the customer turned down is reported as rejected
+    if (line.rejected || line.isRejected || /reject|declined/i.test(statusText)) {
+      fulfillmentStatus = 'rejected';
+    } else if (line.isOutOfStock || line.unavailable || /unavailable|out.of.stock|not available/i.test(statusText)) {
+      fulfillmentStatus = fulfillmentStatus || 'unavailable';
+    }
 
-      // Skip non-product images
-      const skipPatterns = [
-        /^Walmart/i,
-        /^Pro Seller$/i,
-        /Privacy/i,
-        /^star/i,
-        /rating/i,
-        /logo/i,
-        /icon/i,
-        /avatar/i
-      ];
+    if (!original) {
+      return { fulfillmentStatus, substitution: null };
+    }
 
-      for (const pattern of skipPatterns) {
-        if (pattern.test(name)) return;
-      }
+    const originalInfo = original.productInfo || original.item || original.product || original;
+    const requestedPrice = this.parseMoney(
+      original.priceInfo?.linePrice || original.priceInfo?.unitPrice || original.linePrice ||
+      original.price || originalInfo.price || null
+    );
 
-      // Check for quantity in the alt text (e.g., "Product Name, quantity 2")
-      let quantity = 1;
-      const qtyMatch = name.match(/,\s*quantity\s+(\d+)$/i);
-      if (qtyMatch) {
-        quantity = parseInt(qtyMatch[1]);
-        name = name.replace(/,\s*quantity\s+\d+$/i, '').trim();
+    return {
+      fulfillmentStatus,
+      substitution: {
+        requestedName: String(originalInfo.name || originalInfo.productName || original.name || '').trim(),
+        requestedPrice: requestedPrice?.cents ? requestedPrice : null,
+        requestedUsItemId: String(originalInfo.usItemId || original.usItemId || '')
       }
+    };
+  }
 
-      if (!seen.has(name) && this.isValidProductName(name)) {
-        seen.add(name);
-        items.push({
-          name,
-          quantity,
-          price: '', // Price not available on list page
-          priceValue: 0
-        });
-        console.log('[Walmart Order Exporter] Found item:', name.substring(0, 50));
-      }
-    });
+  /**
+   * Detect substitution, unavailable and rejected labels in an item's visible text
+   */
+  extractItemSubstitutionFromText(text) {
+    const requestedMatch = text.match(/(?:Substituted for|Substitute for|Replaces|You ordered:?)\s+([^\n$]{5,200})/i);
+    let fulfillmentStatus = '';
+    if (/\b(Rejected|Declined)\b/.test(text)) {
+      fulfillmentStatus = 'rejected';
+    } else if (requestedMatch || /\bSubstitut(ed|ion)\b/i.test(text)) {
+      fulfillmentStatus = 'substituted';
+    } else if (/\b(Out of stock|Unavailable)\b/i.test(text)) {
+      fulfillmentStatus = 'unavailable';
+    }
 
-    return items;
+    return {
+      fulfillmentStatus,
+      substitution: requestedMatch
+        ? { requestedName: requestedMatch[1].trim(), requestedPrice: null, requestedUsItemId: '' }
+        : null
+    };
   }
 
   /**
-   * Get order IDs from links on current page
-   * Returns objects with {orderId, url, isStore} for each order
+   * Pull the seller and the sold-by/fulfilled-by flags for a line item
+   * Returns {seller, soldByWalmart, fulfilledByWalmart}; seller is '' and the flags
+   * are null when the order data doesn't say. Walmart Fulfillment Services (WFS)
+   * items are sold by a marketplace seller but fulfilled by Walmart.
    */
-  getOrderIdsFromPage() {
-    const links = document.querySelectorAll('a[href*="/orders/"]');
-    const orderMap = new Map(); // Use map to deduplicate by orderId
+  extractItemSeller(lineItem, productInfo, group) {
+    const line = lineItem || {};
+    const info = productInfo || {};
+    const g = group || {};
+    const nameOf = value => String((typeof value === 'string' ? value : value?.name || value?.displayName) || '').trim();
+
+    const seller = [
+      line.seller, line.sellerName, line.sellerDisplayName, line.soldBy,
+      info.seller, info.sellerName, info.sellerDisplayName,
+      g.seller, g.sellerName, g.soldBy
+    ].map(nameOf).find(Boolean) || '';
+    const sellerType = String(line.sellerType || line.seller?.type || line.offerType || info.sellerType || g.sellerType || '').toUpperCase();
+
+    let soldByWalmart = null;
+    if (seller) {
+      soldByWalmart = this.isWalmartSeller(seller);
+    } else if (/MARKETPLACE|3P|THIRD/.test(sellerType)) {
+      soldByWalmart = false;
+    } else if (/WALMART|1P|FIRST/.test(sellerType)) {
+      soldByWalmart = true;
+    }
 
-    links.forEach(link => {
-      const match = link.href.match(/\/orders\/(\d+)(\?.*)?/);
-      if (match) {
-        const orderId = match[1];
-        const url = link.href;
-        const isStore = url.includes('storePurchase=true');
+    const wfs = [line.isWfs, line.isWFS, line.wfsEnabled, info.isWfs, g.isWfs].find(value => typeof value === 'boolean');
+    const fulfiller = nameOf(line.fulfilledBy || line.fulfiller || g.fulfilledBy).replace(/^fulfilled by\s*/i, '');
 
-        // Prefer store purchase URL if we find one (more specific)
-        if (!orderMap.has(orderId) || isStore) {
-          orderMap.set(orderId, {
-            orderId,
-            url,
-            isStore
-          });
-        }
-      }
-    });
+    let fulfilledByWalmart = null;
+    if (wfs !== undefined) {
+      fulfilledByWalmart = wfs || soldByWalmart === true;
+    } else if (fulfiller) {
+      fulfilledByWalmart = this.isWalmartSeller(fulfiller);
+    } else if (soldByWalmart === true) {
+      fulfilledByWalmart = true;
+    }
 
-    const orders = Array.from(orderMap.values());
-    console.log('[Walmart Order Exporter] Found orders on page:', orders.map(o => `${o.orderId}${o.isStore ? ' (store)' : ''}`));
-    return orders;
+    return { seller, soldByWalmart, fulfilledByWalmart };
   }
 
   /**
-   * Get order summaries visible on current list page
+   * Detect "Sold by X", "Sold and shipped by X" and "Fulfilled by Walmart" in an item's visible text
    */
-  getVisibleOrderSummaries() {
-    const summaries = [];
-    const buttons = document.querySelectorAll('button[aria-label*="View details"]');
-    const seen = new Set();
+  extractItemSellerFromText(text) {
+    const soldByMatch = text.match(/Sold (?:and shipped )?by\s+([^\n,|]{2,80})/i);
+    const fulfilledByMatch = text.match(/(?:Fulfilled|Shipped) by\s+([^\n,|]{2,80})/i);
+
+    const seller = soldByMatch ? soldByMatch[1].trim() : '';
+    const fulfiller = fulfilledByMatch ? fulfilledByMatch[1].trim() : '';
+    const soldByWalmart = seller ? this.isWalmartSeller(seller) : null;
+
+    let fulfilledByWalmart = null;
+    if (fulfiller) {
+      fulfilledByWalmart = this.isWalmartSeller(fulfiller);
+    } else if (/Sold and shipped by/i.test(text) || soldByWalmart === true) {
+      fulfilledByWalmart = soldByWalmart;
+    }
 
-    buttons.forEach(btn => {
-      const label = btn.getAttribute('aria-label');
-      if (label && !seen.has(label)) {
-        seen.add(label);
+    return { seller, soldByWalmart, fulfilledByWalmart };
+  }
 
-        const statusInfo = label.replace('View details of ', '');
+  /**
+   * True when a seller or fulfiller name is Walmart itself
+   */
+  isWalmartSeller(name) {
+    return /^walmart(?:\.com|\s+inc\.?)?$/i.test(String(name || '').trim());
+  }
 
-        // Find the closest section/container
-        const section = btn.closest('section') || btn.closest('[class*="bt b--black"]');
-        let total = '';
+  /**
+   * True when an item is a Walmart+ or other membership charge
+   */
+  isMembershipItem(item) {
+    return MEMBERSHIP_PATTERN.test(item?.name || '');
+  }
 
-        if (section) {
-          // Look for order total
-          const elements = section.querySelectorAll('*');
-          for (const el of elements) {
-            const text = el.innerText || '';
-            if (text.startsWith('Order total $') && text.length < 25) {
-              total = text.replace('Order total ', '');
-              break;
-            }
-          }
-        }
+  /**
+   * True when an item was sold by a third-party marketplace seller
+   * Falls back to the shipment's seller; items without any seller data count as
+   * sold by Walmart.
+   */
+  isMarketplaceItem(order, item) {
+    if (typeof item?.soldByWalmart === 'boolean') return !item.soldByWalmart;
+    const seller = item?.seller || this.findItemShipment(order, item)?.seller;
+    return seller ? !this.isWalmartSeller(seller) : false;
+  }
 
-        // Parse status info
-        const parts = statusInfo.split(', ');
-        const orderType = parts[0] || 'Delivery';
-        const status = parts.slice(1).join(', ') || 'Unknown';
+  /**
+   * "Walmart", "Seller" or '' (unknown) for an item's fulfilled-by flag
+   */
+  formatFulfilledBy(item) {
+    if (typeof item?.fulfilledByWalmart !== 'boolean') return '';
+    return item.fulfilledByWalmart ? 'Walmart' : 'Seller';
+  }
 
-        summaries.push({
-          orderType,
-          status,
-          total
-        });
-      }
-    });
+  /**
+   * Classify an order by what was bought and from whom
+   * Returns 'membership' (Walmart+ and other membership charges), 'walmart' (all
+   * merchandise sold by Walmart, including every store purchase), 'marketplace'
+   * (all sold by third-party sellers) or 'mixed'.
+   */
+  getPurchaseKind(order) {
+    const items = order.items || [];
+    if (order.membership || (items.length > 0 && items.every(item => this.isMembershipItem(item)))) {
+      return 'membership';
+    }
+    if (order.orderType === 'store') return 'walmart';
 
-    return summaries;
+    const merchandise = items.filter(item => !this.isMembershipItem(item));
+    const marketplaceCount = merchandise.filter(item => this.isMarketplaceItem(order, item)).length;
+    if (marketplaceCount === 0) return 'walmart';
+    return marketplaceCount === merchandise.length ? 'marketplace' : 'mixed';
   }
 
   /**
-   * Fetch order details from Walmart's API
+   * Check an order against the purchaseKindFilter export option
+   * 'merchandise' keeps everything except memberships and 'marketplace' includes
+   * orders that mix Walmart and marketplace items.
    */
-  async fetchOrderFromAPI(orderId) {
-    try {
-      // Try the order details API endpoint
-      const apiUrl = `https://www.walmart.com/api/order-details/${orderId}`;
-      const response = await fetch(apiUrl, {
-        credentials: 'include',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        console.log('[Walmart Order Exporter] Got API response for order:', orderId);
-        return data;
-      }
-    } catch (e) {
-      console.log('[Walmart Order Exporter] API fetch failed:', e.message);
+  matchesPurchaseKind(order, filter) {
+    if (!filter || filter === 'all') return true;
+
+    const kind = this.getPurchaseKind(order);
+    switch (filter) {
+      case 'merchandise':
+        return kind !== 'membership';
+      case 'marketplace':
+        return kind === 'marketplace' || kind === 'mixed';
+      default:
+        return kind === filter;
     }
+  }
 
-    // Try alternative API endpoints
-    const alternativeUrls = [
-      `https://www.walmart.com/api/orders/${orderId}`,
-      `https://www.walmart.com/orchestra/home/graphql/orderDetails/${orderId}`
-    ];
-
-    for (const url of alternativeUrls) {
-      try {
-        const response = await fetch(url, {
-          credentials: 'include',
-          headers: {
-            'Accept': 'application/json'
-          }
-        });
-        if (response.ok) {
-          const data = await response.json();
-          console.log('[Walmart Order Exporter] Got API response from:', url);
-          return data;
-        }
-      } catch (e) {
-        // Continue trying
-      }
+  /**
+   * Detect a returned, refunded or cancelled line item and its refund
+   * Returns {returnStatus, refund}; returnStatus is '', 'returned', 'refunded' or
+   * 'cancelled' and refund is {amount (negative), date, reason} or null.
+   */
+  extractItemReturn(lineItem, group) {
+    const line = lineItem || {};
+    const info = line.returnInfo || line.returnDetails || line.refundInfo || line.refund || line.cancellation || {};
+    const statusText = [
+      typeof line.status === 'string' ? line.status : line.status?.text || line.status?.statusType?.text,
+      line.itemStatus,
+      line.returnStatus,
+      info.status,
+      typeof group?.status === 'string' ? group.status : group?.status?.statusType?.text
+    ].filter(value => typeof value === 'string').join(' ');
+
+    const returnStatus = this.normalizeReturnStatus(statusText);
+    const amount = this.parseMoney(line.refundAmount ?? info.refundAmount ?? info.amount ?? info.refundTotal ?? null);
+    const date = String(info.refundDate || info.date || line.refundDate || line.returnDate || info.returnDate || '');
+    const reason = String(info.reason || info.returnReason || info.cancelReason || line.returnReason || line.cancelReason || '').trim();
+
+    if (!returnStatus && !amount?.cents) {
+      return { returnStatus: '', refund: null };
     }
 
-    return null;
+    return {
+      returnStatus: returnStatus || 'refunded',
+      refund: amount?.cents || date || reason ? { amount: this.asDiscount(amount), date, reason } : null
+    };
   }
 
   /**
-   * Fetch and parse order details page
-   * @param {string|Object} orderInfo - Either an orderId string (backward compatible) or {orderId, url, isStore} object
+   * Extract order-level refund events from a Next.js order object
+   * Returns [{amount (negative), date, reason}].
    */
-  async fetchOrderDetails(orderInfo) {
-    // Support both old format (string) and new format (object)
-    const orderId = typeof orderInfo === 'string' ? orderInfo : orderInfo.orderId;
-    const isStore = typeof orderInfo === 'object' ? orderInfo.isStore : false;
-    const orderUrl = typeof orderInfo === 'object' && orderInfo.url
-      ? orderInfo.url
-      : `https://www.walmart.com/orders/${orderId}${isStore ? '?storePurchase=true' : ''}`;
-
-    try {
-      // First try to get data from API (more reliable)
-      const apiData = await this.fetchOrderFromAPI(orderId);
-      if (apiData && (apiData.orderDetails || apiData.lineItems || apiData.items)) {
-        console.log('[Walmart Order Exporter] Using API data for order:', orderId);
-        return this.parseOrderFromJSONData(apiData.orderDetails || apiData, orderId);
-      }
+  extractRefundsFromNextData(order) {
+    const refunds = [
+      order?.refunds,
+      order?.refundDetails,
+      order?.priceDetails?.refunds,
+      order?.returns
+    ].find(Array.isArray) || [];
+
+    return refunds.map(refund => ({
+      amount: this.asDiscount(this.parseMoney(refund?.refundAmount ?? refund?.amount ?? refund?.total ?? refund ?? null)),
+      date: String(refund?.refundDate || refund?.date || refund?.issuedDate || ''),
+      reason: String(refund?.reason || refund?.returnReason || refund?.label || '').trim()
+    })).filter(refund => refund.amount?.cents);
+  }
 
-      // Fall back to HTML parsing
-      const response = await fetch(orderUrl, {
-        credentials: 'include',
-        headers: {
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-        }
-      });
+  /**
+   * Extract refund lines from receipt text, e.g. "Refund total $5.00"
+   */
+  extractRefundsFromText(pageText) {
+    const refunds = [];
+    const pattern = /^\s*(Refund(?:ed)?(?: total| amount| to [^\n$]+)?)\s*[-−]?\$([\d,]+\.\d{2})/gim;
+    let match;
+    while ((match = pattern.exec(pageText)) !== null) {
+      refunds.push({ amount: this.asDiscount(this.parseMoney(match[2])), date: '', reason: match[1].trim() });
+    }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
+    // A refund total already covers the per-tender refund lines printed under it
+    const totals = refunds.filter(refund => /total/i.test(refund.reason));
+    return totals.length > 0 ? totals : refunds;
+  }
 
-      const html = await response.text();
-      console.log('[Walmart Order Exporter] HTML length for order', orderId, ':', html.length);
+  /**
+   * Detect "Returned", "Refunded" or "Canceled" labels in an item's visible text
+   */
+  extractItemReturnFromText(text) {
+    const statusMatch = text.match(/\b(Returned|Refunded|Cancell?ed)\b/);
+    if (!statusMatch) return { returnStatus: '', refund: null };
 
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
+    const refundMatch = text.match(/Refund(?:ed)?[^$\n]*\$([\d,]+\.\d{2})/i);
+    return {
+      returnStatus: this.normalizeReturnStatus(statusMatch[1]),
+      refund: refundMatch ? { amount: this.asDiscount(this.parseMoney(refundMatch[1])), date: '', reason: '' } : null
+    };
+  }
 
-      // Check if this is a store purchase (from URL or page content)
-      const isStorePurchase = isStore || this.isStorePurchase(orderUrl, doc);
+  /**
+   * Escape a string for literal use inside a RegExp
+   */
+  escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
 
-      if (isStorePurchase) {
-        console.log(`[Walmart Order Exporter] Parsing store purchase: ${orderId}`);
-        return this.parseStorePurchasePage(doc, orderId);
-      } else {
-        return this.parseOrderDetailPage(doc, orderId);
-      }
-    } catch (error) {
-      console.error(`Error fetching order ${orderId}:`, error);
-      return {
-        orderId,
-        orderType: isStore ? 'store' : 'online',
-        orderDate: 'Unknown',
-        status: 'Error fetching',
-        items: [],
-        subtotal: '',
-        tax: '',
-        total: '',
-        associateDiscount: '',
-        driverTip: '',
-        deliveryFee: '',
-        expressFee: '',
-        storeLocation: { name: '', address: '' },
-        error: error.message
-      };
-    }
+  /**
+   * Map item or order status text to returned, refunded or cancelled ('' otherwise)
+   */
+  normalizeReturnStatus(text) {
+    const value = String(text || '');
+    if (/cancel/i.test(value)) return 'cancelled';
+    if (/refund/i.test(value)) return 'refunded';
+    if (/return/i.test(value) && !/return window|returnable|free returns/i.test(value)) return 'returned';
+    return '';
   }
 
   /**
-   * Extract order data from embedded JSON (Next.js/React apps)
+   * Pull rollback/clearance flags and a "Was $X.XX" list price from an item's visible text
    */
-  extractOrderFromJSON(doc, orderId) {
-    // Try to find Next.js data
-    const nextDataScript = doc.querySelector('script#__NEXT_DATA__');
-    if (nextDataScript) {
-      try {
-        const data = JSON.parse(nextDataScript.textContent);
-        console.log('[Walmart Order Exporter] Found __NEXT_DATA__');
-        return this.parseNextJSData(data, orderId);
-      } catch (e) {
-        console.log('[Walmart Order Exporter] Failed to parse __NEXT_DATA__:', e);
-      }
-    }
+  extractItemSavingsFromText(text, quantity) {
+    const wasMatch = text.match(/Was\s*\$([\d,]+\.\d{2})/i);
+    const unitList = wasMatch ? this.parseMoney(wasMatch[1]) : null;
 
-    // Try to find inline JSON in script tags
-    const scripts = doc.querySelectorAll('script');
-    for (const script of scripts) {
-      const text = script.textContent || '';
+    return {
+      listPrice: unitList ? { cents: unitList.cents * (Number(quantity) || 1), currency: unitList.currency } : null,
+      rollback: /\bRollback\b/i.test(text),
+      clearance: /\bClearance\b/i.test(text),
+      promotions: []
+    };
+  }
 
-      // Look for order data patterns
-      if (text.includes('orderDetails') || text.includes('lineItems') || text.includes(orderId)) {
-        // Try to extract JSON objects
-        const jsonMatches = text.match(/\{[^{}]*"orderDetails"[^{}]*\}/g) ||
-                           text.match(/\{[^{}]*"lineItems"[^{}]*\}/g);
-        if (jsonMatches) {
-          for (const match of jsonMatches) {
-            try {
-              const data = JSON.parse(match);
-              if (data.orderDetails || data.lineItems) {
-                console.log('[Walmart Order Exporter] Found order data in script tag');
-                return data;
-              }
-            } catch (e) {
-              // Continue trying
-            }
-          }
-        }
-      }
+  /**
+   * Normalize a discount, coupon or promotion entry into {label, type, amount}
+   * amount is always negative; type is associate, coupon, rollback, clearance or promotion.
+   */
+  parseDiscountEntry(entry, fallbackLabel = 'Discount') {
+    const label = String(
+      entry?.label || entry?.name || entry?.description || entry?.promoName || entry?.title || fallbackLabel
+    ).trim();
+
+    let type = 'promotion';
+    if (/associate|employee/i.test(label)) {
+      type = 'associate';
+    } else if (/coupon/i.test(label)) {
+      type = 'coupon';
+    } else if (/rollback/i.test(label)) {
+      type = 'rollback';
+    } else if (/clearance/i.test(label)) {
+      type = 'clearance';
     }
 
-    return null;
+    return { label, type, amount: this.asDiscount(this.parseMoney(entry)) };
   }
 
   /**
-   * Parse Next.js embedded data structure
+   * Extract how and where an order was fulfilled from a Next.js order object
+   * Returns {type, pickupStore: {name, address}, deliveryAddress, scheduledStart,
+   * scheduledEnd, deliveredAt}, or null when the order carries no fulfillment data.
+   * type is one of delivery, pickup, shipping or in-store ('' when unknown).
    */
-  parseNextJSData(data, orderId) {
-    try {
-      // Navigate through Next.js data structure
-      const props = data?.props?.pageProps;
-      console.log('[Walmart Order Exporter] pageProps keys:', props ? Object.keys(props) : 'none');
-
-      if (!props) return null;
-
-      // Look for order data in various possible locations
-      const possibleKeys = ['orderDetails', 'order', 'orderData', 'initialData', 'initialState', 'data'];
-      for (const key of possibleKeys) {
-        if (props[key]) {
-          console.log('[Walmart Order Exporter] Found data at props.' + key);
-          const orderData = props[key].order || props[key].orderDetails || props[key];
-          if (orderData) return orderData;
-        }
+  extractFulfillmentFromNextData(order) {
+    if (!order) return null;
+
+    const groups = [order.groups_2101, order.orderGroups, order.groups].find(Array.isArray) || [];
+    // Order-level fields win; otherwise use the first group that has them
+    const pick = getter => {
+      const value = getter(order);
+      if (value) return value;
+      for (const group of groups) {
+        const groupValue = getter(group);
+        if (groupValue) return groupValue;
       }
+      return null;
+    };
 
-      // Check for Apollo/GraphQL cache
-      if (props.__APOLLO_STATE__) {
-        const apolloState = props.__APOLLO_STATE__;
-        console.log('[Walmart Order Exporter] Apollo state keys:', Object.keys(apolloState).slice(0, 10));
-        for (const key of Object.keys(apolloState)) {
-          if (key.includes('Order') || key.includes(orderId)) {
-            console.log('[Walmart Order Exporter] Found order in Apollo state:', key);
-            return apolloState[key];
-          }
-        }
-      }
+    const typeText = pick(o => o.fulfillmentType || o.fulfillment?.type || o.deliveryMethod || o.shippingMethod);
+    const store = pick(o => o.pickupStore || o.pickupLocation || o.store || o.fulfillment?.store);
+    const address = pick(o => o.deliveryAddress || o.shippingAddress || o.shipToAddress || o.fulfillment?.address);
+    const slot = pick(o => o.deliveryWindow || o.timeSlot || o.slot || o.pickupWindow || o.reservation);
+    const scheduled = pick(o => o.scheduledDeliveryDate || o.estimatedDeliveryDate || o.promiseDate || o.expectedDeliveryDate);
+    const delivered = pick(o => o.deliveredDate || o.actualDeliveryDate || o.status?.deliveredDate || o.pickedUpDate);
+
+    const fulfillment = {
+      type: this.normalizeFulfillmentType(typeText),
+      pickupStore: {
+        name: String(store?.name || store?.storeName || store?.displayName || '').trim(),
+        address: this.formatAddress(store?.address || store?.storeAddress)
+      },
+      deliveryAddress: this.formatAddress(address),
+      scheduledStart: String(slot?.startTime || slot?.start || slot?.startDateTime || scheduled || ''),
+      scheduledEnd: String(slot?.endTime || slot?.end || slot?.endDateTime || ''),
+      deliveredAt: String(delivered || '')
+    };
 
-      // Try to find order data anywhere in props
-      const propsStr = JSON.stringify(props);
-      if (propsStr.includes(orderId)) {
-        console.log('[Walmart Order Exporter] Order ID found in props, searching deeper...');
-        // Deep search for the order
-        return this.deepSearchForOrder(props, orderId);
-      }
-    } catch (e) {
-      console.log('[Walmart Order Exporter] Error parsing Next.js data:', e);
+    if (!fulfillment.type && fulfillment.pickupStore.name) {
+      fulfillment.type = 'pickup';
     }
-    return null;
+
+    const hasData = fulfillment.type || fulfillment.pickupStore.name || fulfillment.deliveryAddress ||
+      fulfillment.scheduledStart || fulfillment.deliveredAt;
+    return hasData ? fulfillment : null;
   }
 
   /**
-   * Deep search for order data in nested object
+   * Map Walmart's fulfillment codes and labels to delivery, pickup, shipping or in-store
    */
-  deepSearchForOrder(obj, orderId, depth = 0) {
-    if (depth > 10 || !obj) return null;
-
-    if (typeof obj !== 'object') return null;
+  normalizeFulfillmentType(value) {
+    const text = String(value || '');
+    if (!text) return '';
+    if (/in.?store|store purchase/i.test(text)) return 'in-store';
+    if (/pick.?up|curbside|s2s|ship.?to.?store/i.test(text)) return 'pickup';
+    if (/ship|s2h|mail|parcel/i.test(text)) return 'shipping';
+    if (/deliver|express|unscheduled/i.test(text)) return 'delivery';
+    return '';
+  }
 
-    // Check if this object looks like order data
-    if (obj.orderId === orderId || obj.id === orderId || obj.orderNumber?.includes(orderId)) {
-      return obj;
-    }
+  /**
+   * Format a Walmart address object (or string) as a single line
+   */
+  formatAddress(address) {
+    if (!address) return '';
+    if (typeof address === 'string') return address.replace(/\s+/g, ' ').trim();
 
-    // Check for lineItems or items array (strong indicator of order data)
-    if ((obj.lineItems || obj.items || obj.orderLines) && Array.isArray(obj.lineItems || obj.items || obj.orderLines)) {
-      const items = obj.lineItems || obj.items || obj.orderLines;
-      if (items.length > 0 && items[0].name) {
-        console.log('[Walmart Order Exporter] Found order-like object with items at depth', depth);
-        return obj;
-      }
-    }
+    const street = [
+      address.addressLineOne || address.addressLine1 || address.line1 || address.street,
+      address.addressLineTwo || address.addressLine2 || address.line2
+    ];
+    const region = [address.state || address.stateOrProvinceCode, address.postalCode || address.zipCode || address.zip]
+      .filter(Boolean).join(' ');
 
-    // Recursively search
-    for (const key of Object.keys(obj)) {
-      const result = this.deepSearchForOrder(obj[key], orderId, depth + 1);
-      if (result) return result;
-    }
+    return [...street, address.city, region].filter(Boolean).map(part => String(part).trim()).join(', ');
+  }
 
-    return null;
+  /**
+   * Fulfillment type for an order; store purchases are always in-store
+   */
+  getFulfillmentType(order) {
+    return order.fulfillment?.type || (order.orderType === 'store' ? 'in-store' : '');
   }
 
   /**
-   * Parse order detail page HTML (online orders)
+   * Scheduled delivery or pickup window as "start - end"
    */
-  parseOrderDetailPage(doc, orderId) {
-    // First try to extract from embedded JSON (more reliable for SPAs)
-    const jsonData = this.extractOrderFromJSON(doc, orderId);
-    if (jsonData) {
-      return this.parseOrderFromJSONData(jsonData, orderId);
-    }
+  formatScheduledWindow(fulfillment) {
+    return [fulfillment?.scheduledStart, fulfillment?.scheduledEnd].filter(Boolean).join(' - ');
+  }
 
-    // Fallback to DOM parsing
-    const mainContent = doc.querySelector('main');
-    const bodyContent = doc.body;
-    const contentToSearch = mainContent || bodyContent;
+  /**
+   * Extract payment tenders from a Next.js order object
+   * Returns [{type, last4, amount}] with amount as money (null when not shown).
+   */
+  extractPaymentsFromNextData(order) {
+    const tenders = [
+      order?.paymentMethods,
+      order?.payments,
+      order?.tenders,
+      order?.paymentDetails?.paymentMethods,
+      order?.priceDetails?.paymentMethods
+    ].find(Array.isArray) || [];
+
+    return tenders.map(tender => {
+      const card = tender?.card || tender?.paymentMethod || tender;
+      const typeText = [
+        card?.cardType || card?.paymentType || card?.type,
+        card?.brand || card?.displayName || card?.description || tender?.label || tender?.description
+      ].filter(value => typeof value === 'string').join(' ');
+      const masked = String(card?.lastFour || card?.last4 || card?.maskedNumber || card?.cardNumber || tender?.last4 || '');
+      const last4Match = masked.match(/(\d{4})\D*$/);
 
-    if (!contentToSearch) {
       return {
-        orderId,
-        orderType: 'online',
-        orderDate: 'Unknown',
-        status: 'Could not parse',
-        items: [],
-        subtotal: '',
-        tax: '',
-        total: '',
-        associateDiscount: '',
-        driverTip: '',
-        deliveryFee: '',
-        expressFee: '',
-        storeLocation: { name: '', address: '' }
+        type: this.normalizeTenderType(typeText),
+        last4: last4Match ? last4Match[1] : '',
+        amount: this.parseMoney(tender?.amount ?? tender?.chargedAmount ?? tender?.amountCharged ?? tender?.totalAmount ?? tender?.value ?? null)
       };
-    }
+    }).filter(payment => payment.type || payment.last4 || payment.amount);
+  }
 
-    const pageText = contentToSearch.innerText || '';
-    const fullHTML = doc.documentElement.innerHTML || '';
+  /**
+   * Extract payment tenders from receipt text
+   * Handles printed receipt lines ("VISA TEND 45.23" followed by "ACCOUNT # **** 1234")
+   * and digital receipt lines ("Visa ending in 1234 $45.23").
+   */
+  extractPaymentsFromText(pageText) {
+    const payments = [];
+    const lines = pageText.split('\n').map(line => line.trim()).filter(Boolean);
+
+    lines.forEach((line, i) => {
+      const tendMatch = line.match(/^(.+?)\s+TEND\s+\$?([\d,]+\.\d{2})/i);
+      if (tendMatch) {
+        // The card number is printed on one of the next few lines
+        let last4 = '';
+        for (const next of lines.slice(i + 1, i + 4)) {
+          const cardMatch = next.match(/[*X]{2,}[\s*X]*(\d{4})\b/i);
+          if (cardMatch) {
+            last4 = cardMatch[1];
+            break;
+          }
+          if (/\bTEND\b/i.test(next)) break;
+        }
+        payments.push({ type: this.normalizeTenderType(tendMatch[1]), last4, amount: this.parseMoney(tendMatch[2]) });
+        return;
+      }
 
-    // Extract order date - try multiple patterns
-    let orderDate = 'Unknown';
-    const datePatterns = [
-      /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},\s+\d{4}\s+order/i,
-      /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},\s+\d{4}/i,
-      /(\d{1,2}\/\d{1,2}\/\d{4})/
-    ];
-    for (const pattern of datePatterns) {
-      const match = (pageText + fullHTML).match(pattern);
-      if (match) {
-        orderDate = match[0].replace(' order', '');
-        break;
+      const endingMatch = line.match(/^(.*?)\s*(?:ending in|[*X•]{2,})\s*(\d{4})\b(?:.*?\$([\d,]+\.\d{2}))?/i);
+      if (endingMatch && /visa|master|discover|amex|american express|debit|credit|gift|ebt|card/i.test(endingMatch[1])) {
+        payments.push({
+          type: this.normalizeTenderType(endingMatch[1]),
+          last4: endingMatch[2],
+          amount: endingMatch[3] ? this.parseMoney(endingMatch[3]) : null
+        });
       }
-    }
+    });
 
-    // Extract order number
-    const orderNumMatch = (pageText + fullHTML).match(/Order#?\s*([\d-]+)/i);
-    const orderNumber = orderNumMatch ? orderNumMatch[1] : orderId;
+    return payments;
+  }
 
-    // Extract status
-    let status = 'Unknown';
-    if (pageText.includes('Delivered') || fullHTML.includes('Delivered')) {
-      status = 'Delivered';
-    } else if (pageText.includes('Arrives') || fullHTML.includes('Arrives')) {
-      status = 'In Transit';
-    } else if (pageText.includes('Shipped') || fullHTML.includes('Shipped')) {
-      status = 'Shipped';
+  /**
+   * Map a tender description to a canonical payment type
+   * Unrecognized descriptions are returned as-is.
+   */
+  normalizeTenderType(text) {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    const types = [
+      [/ebt.*(snap|food|fs\b)|\bsnap\b/i, 'EBT SNAP'],
+      [/ebt.*cash/i, 'EBT Cash'],
+      [/ebt/i, 'EBT'],
+      [/gift/i, 'Gift card'],
+      [/american express|amex/i, 'American Express'],
+      [/master/i, 'Mastercard'],
+      [/discover/i, 'Discover'],
+      [/visa/i, 'Visa'],
+      [/paypal/i, 'PayPal'],
+      [/affirm/i, 'Affirm'],
+      [/debit/i, 'Debit card'],
+      [/credit/i, 'Credit card'],
+      [/cash/i, 'Cash']
+    ];
+
+    for (const [pattern, type] of types) {
+      if (pattern.test(value)) return type;
     }
+    return value;
+  }
 
-    // Extract items using DOM-based approach
-    const items = this.extractItemsFromDOM(doc);
+  /**
+   * Pull catalog identifiers for a line item out of its productInfo
+   * Returns {itemId, usItemId, upc, productUrl, imageUrl, brand}; missing values are ''.
+   */
+  extractProductIdentifiers(productInfo, lineItem) {
+    const info = productInfo || {};
+    const line = lineItem || {};
+    const text = value => (value === undefined || value === null ? '' : String(value).trim());
 
-    // Extract totals from HTML as well
-    const combinedText = pageText + fullHTML;
-    const subtotalMatch = combinedText.match(/Subtotal[:\s]*\$?([\d,]+\.\d{2})/i);
-    const taxMatch = combinedText.match(/Tax[:\s]*\$?([\d,]+\.\d{2})/i);
-    const totalMatch = combinedText.match(/(?:Order\s*)?Total[:\s]*\$?([\d,]+\.\d{2})/i);
+    const link = this.parseProductLink(
+      info.canonicalUrl || info.productUrl || info.productPageUrl || info.url || line.productUrl || ''
+    );
+
+    const usItemId = text(info.usItemId || line.usItemId || info.usItemID) || link.usItemId;
+    const brand = info.brand?.name || info.brand || info.brandName || line.brand || '';
 
     return {
-      orderId,
-      orderNumber,
-      orderType: 'online',
-      orderDate,
-      status,
-      items,
-      subtotal: subtotalMatch ? `$${subtotalMatch[1]}` : '',
-      tax: taxMatch ? `$${taxMatch[1]}` : '',
-      total: totalMatch ? `$${totalMatch[1]}` : '',
-      associateDiscount: '',
-      driverTip: '',
-      deliveryFee: '',
-      expressFee: '',
-      storeLocation: { name: '', address: '' }
+      itemId: text(info.itemId || info.walmartItemId || info.wmItemId || line.itemId),
+      usItemId,
+      upc: text(info.upc || info.gtin || info.gtin13 || info.gtin14 || line.upc || line.gtin),
+      productUrl: link.productUrl || (usItemId ? `https://www.walmart.com/ip/${usItemId}` : ''),
+      imageUrl: text(
+        info.imageInfo?.thumbnailUrl || info.imageInfo?.url || info.thumbnailUrl ||
+        info.imageUrl || info.image?.url || (typeof info.image === 'string' ? info.image : '')
+      ),
+      brand: text(brand)
     };
   }
 
   /**
-   * Parse order data from JSON structure
+   * Parse a Walmart product page link (/ip/<slug>/<usItemId>)
+   * Returns the absolute URL without tracking parameters and the US item ID from its path.
+   */
+  parseProductLink(href) {
+    if (!href) return { usItemId: '', productUrl: '' };
+
+    try {
+      const url = new URL(href, 'https://www.walmart.com');
+      const idMatch = url.pathname.match(/\/ip\/(?:[^/]+\/)*?(\d+)\/?$/);
+      return {
+        usItemId: idMatch ? idMatch[1] : '',
+        productUrl: url.origin + url.pathname
+      };
+    } catch (e) {
+      return { usItemId: '', productUrl: '' };
+    }
+  }
+
+  /**
+   * Extract order metadata (date, subtotal, tax, fees, discounts) from Next.js data structure
+   * Used for orders where list page extraction may miss these fields
+   * Primary data source: order.priceDetails (confirmed via browser inspection)
+   */
+  extractOrderMetaFromNextData(nextData) {
+    try {
+      const pageProps = nextData?.props?.pageProps;
+      if (!pageProps) return null;
+
+      // Try different paths to find order data
+      const order = pageProps?.initialData?.data?.order ||
+                    pageProps?.orderDetails ||
+                    pageProps?.order;
+
+      if (!order) return null;
+
+      const meta = {};
+
+      // Extract order date
+      if (order.orderDate) {
+        meta.orderDate = order.orderDate;
+      }
+
+      const payments = this.extractPaymentsFromNextData(order);
+      if (payments.length > 0) {
+        meta.payments = payments;
+      }
+
+      const refunds = this.extractRefundsFromNextData(order);
+      if (refunds.length > 0) {
+        meta.refunds = refunds;
+      }
+
+      const statusText = typeof order.status === 'string' ? order.status : order.status?.statusType?.text || order.orderStatus;
+      if (this.normalizeReturnStatus(statusText) === 'cancelled') {
+        meta.cancelled = true;
+      }
+
+      const fulfillment = this.extractFulfillmentFromNextData(order);
+      if (fulfillment) {
+        meta.fulfillment = fulfillment;
+      }
+
+      const orderKind = [order.orderType, order.type, order.category, order.orderCategory, order.displayName]
+        .filter(value => typeof value === 'string').join(' ');
+      if (order.isMembership || order.isSubscription || /MEMBERSHIP|WALMART_?PLUS/i.test(orderKind) ||
+          MEMBERSHIP_PATTERN.test(orderKind)) {
+        meta.membership = true;
+      }
+
+      // Use priceDetails (primary - confirmed via browser inspection) or orderSummary (fallback)
+      const priceDetails = order.priceDetails || order.orderSummary || order.summary;
+      if (priceDetails) {
+        // Subtotal
+        if (priceDetails.subTotal !== undefined) {
+          meta.subtotal = this.parseMoney(priceDetails.subTotal);
+        } else if (priceDetails.subtotal !== undefined) {
+          meta.subtotal = this.parseMoney(priceDetails.subtotal);
+        }
+
+        // Tax
+        if (priceDetails.taxTotal !== undefined) {
+          meta.tax = this.parseMoney(priceDetails.taxTotal);
+        } else if (priceDetails.tax !== undefined) {
+          meta.tax = this.parseMoney(priceDetails.tax);
+        }
+
+        // Total
+        if (priceDetails.grandTotal !== undefined) {
+          meta.total = this.parseMoney(priceDetails.grandTotal);
+        } else if (priceDetails.total !== undefined) {
+          meta.total = this.parseMoney(priceDetails.total);
+        }
+
+        // Driver Tip
+        if (priceDetails.driverTip) {
+          meta.driverTip = this.parseMoney(priceDetails.driverTip);
+        }
+
+        // Every discount, coupon and promotion; the associate discount is also kept separately
+        if (priceDetails.discounts && Array.isArray(priceDetails.discounts)) {
+          meta.discounts = priceDetails.discounts
+            .map(d => this.parseDiscountEntry(d))
+            .filter(d => d.amount?.cents);
+
+          const assocDiscount = priceDetails.discounts.find(d =>
+            d.label?.toLowerCase().includes('associate') ||
+            d.label?.toLowerCase().includes('employee')
+          );
+          if (assocDiscount) {
+            meta.associateDiscount = this.asDiscount(this.parseMoney(assocDiscount));
+          }
+        }
+
+        // Delivery Fee and Express Fee (from fees array)
+        if (priceDetails.fees && Array.isArray(priceDetails.fees)) {
+          // Look for delivery fee (various possible labels)
+          const deliveryFee = priceDetails.fees.find(f =>
+            /delivery/i.test(f.label) && !/express/i.test(f.label)
+          );
+          if (deliveryFee) {
+            meta.deliveryFee = this.parseMoney(deliveryFee);
+          }
+
+          // Look for express fee
+          const expressFee = priceDetails.fees.find(f =>
+            /express/i.test(f.label)
+          );
+          if (expressFee) {
+            meta.expressFee = this.parseMoney(expressFee);
+          }
+        }
+      }
+
+      return Object.keys(meta).length > 0 ? meta : null;
+    } catch (error) {
+      console.error('[Walmart Order Exporter] Error extracting order meta:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Parse any price representation into the canonical money type
+   * Handles structures like {label, value, displayValue, currencyUnit}, plain
+   * numbers, and strings such as "$5", "-$3.00", "($1.25)" or "1,234.5".
+   * @returns {{cents: number, currency: string}|null} Integer cents, or null if unknown
+   */
+  parseMoney(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (typeof value === 'number') {
+      return isFinite(value) ? { cents: Math.round(value * 100), currency: 'USD' } : null;
+    }
+
+    if (typeof value === 'string') {
+      const negative = /^\s*[-−(]|^\s*\$\s*-/.test(value);
+      const digits = value.replace(/[^\d.]/g, '');
+      const amount = parseFloat(digits);
+      if (!digits || isNaN(amount)) return null;
+
+      const cents = Math.round(amount * 100);
+      return { cents: negative ? -cents : cents, currency: 'USD' };
+    }
+
+    if (typeof value === 'object') {
+      const currency = value.currencyUnit || value.currency || value.currencyCode || 'USD';
+      // Prefer the numeric value; fall back to parsing the display string
+      for (const key of ['value', 'amount', 'price']) {
+        if (typeof value[key] === 'number' && isFinite(value[key])) {
+          return { cents: Math.round(value[key] * 100), currency };
+        }
+      }
+      for (const key of ['displayValue', 'value', 'amount', 'price']) {
+        if (value[key] !== undefined && typeof value[key] !== 'object') {
+          const parsed = this.parseMoney(String(value[key]));
+          if (parsed) return { ...parsed, currency };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Force a discount amount negative, however the source displayed it
+   */
+  asDiscount(money) {
+    return money ? { ...money, cents: -Math.abs(money.cents) } : null;
+  }
+
+  /**
+   * Format money for display (e.g. {cents: -300} -> "-$3.00"), '' when unknown
+   */
+  formatMoney(money) {
+    if (!money) return '';
+
+    const abs = Math.abs(money.cents);
+    const dollars = String(Math.floor(abs / 100)).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    const amount = `${dollars}.${String(abs % 100).padStart(2, '0')}`;
+    const sign = money.cents < 0 ? '-' : '';
+
+    return money.currency === 'USD' ? `${sign}$${amount}` : `${sign}${amount} ${money.currency}`;
+  }
+
+  /**
+   * Numeric value of money in currency units (e.g. 12.34), null when unknown
+   */
+  moneyValue(money) {
+    return money ? money.cents / 100 : null;
+  }
+
+  /**
+   * Savings on one item, returned as positive money or null when the item has no
+   * list price or promotions
+   * item.price is the line price charged, i.e. after the item's own promotions, so
+   * listPrice - price already contains them; promotions are only summed when there
+   * is no list price to compare with.
+   */
+  getItemSavings(item) {
+    const promotions = item?.promotions || [];
+    if (!item?.listPrice && promotions.length === 0) return null;
+
+    let cents;
+    if (item.listPrice && item.price) {
+      cents = Math.max(item.listPrice.cents - item.price.cents, 0);
+    } else {
+      cents = -promotions.reduce((sum, promotion) => sum + (promotion.amount?.cents || 0), 0);
+    }
+
+    return { cents, currency: item.listPrice?.currency || item.price?.currency || 'USD' };
+  }
+
+  /**
+   * Total savings on an order: item savings plus the order-level discounts that
+   * aren't item promotions repeated at order level
+   * Returned as positive money, or null when nothing about savings is known.
+   */
+  getOrderSavings(order) {
+    const itemSavings = (order.items || []).map(item => this.getItemSavings(item)).filter(Boolean);
+    const discounts = this.getOrderOnlyDiscounts(order);
+    if (itemSavings.length === 0 && discounts.length === 0) return null;
+
+    let cents = itemSavings.reduce((sum, savings) => sum + savings.cents, 0);
+    for (const discount of discounts) {
+      cents -= discount.amount?.cents || 0;
+    }
+
+    return { cents, currency: order.total?.currency || 'USD' };
+  }
+
+  /**
+   * Order discounts, leaving out those that repeat item promotions
+   * Walmart's price details often list item promotions and coupons again as order lines.
+   * A discount repeats them when its label matches and its amount equals one item
+   * promotion with that label, or all of them together.
+   */
+  getOrderOnlyDiscounts(order) {
+    const labelOf = entry => String(entry.label || '').trim().toLowerCase();
+    const promotions = (order.items || [])
+      .flatMap(item => item.promotions || [])
+      .map(promotion => ({ label: labelOf(promotion), cents: promotion.amount?.cents || 0, used: false }));
+
+    return (order.discounts || []).filter(discount => {
+      const label = labelOf(discount);
+      const cents = discount.amount?.cents || 0;
+      const open = promotions.filter(promotion => !promotion.used && promotion.label === label);
+
+      const single = open.find(promotion => promotion.cents === cents);
+      if (single) {
+        single.used = true;
+        return false;
+      }
+      if (open.length > 1 && open.reduce((sum, promotion) => sum + promotion.cents, 0) === cents) {
+        open.forEach(promotion => { promotion.used = true; });
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Total refunded on an order as negative money, or null when nothing was refunded
+   * Order-level refund events are used when present; otherwise item refunds are summed.
+   */
+  getRefundTotal(order) {
+    const refunds = order.refunds?.length
+      ? order.refunds
+      : (order.items || []).map(item => item.refund).filter(refund => refund?.amount);
+    if (refunds.length === 0) return null;
+
+    return {
+      cents: refunds.reduce((sum, refund) => sum + (refund.amount?.cents || 0), 0),
+      currency: order.total?.currency || 'USD'
+    };
+  }
+
+  /**
+   * Order total after refunds; fully cancelled orders net to zero
+   */
+  getNetTotal(order) {
+    if (this.isOrderCancelled(order)) {
+      return { cents: 0, currency: order.total?.currency || 'USD' };
+    }
+    if (!order.total) return null;
+
+    const refunds = this.getRefundTotal(order);
+    return { cents: order.total.cents + (refunds ? refunds.cents : 0), currency: order.total.currency };
+  }
+
+  /**
+   * Split integer cents across weights so the parts always sum to totalCents
+   * Uses the largest remainder method; returns zeros when every weight is zero.
+   */
+  distributeCents(totalCents, weights) {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!weightSum) return weights.map(() => 0);
+
+    const sign = totalCents < 0 ? -1 : 1;
+    const shares = weights.map(weight => Math.abs(totalCents) * weight / weightSum);
+    const parts = shares.map(share => Math.floor(share));
+    let left = Math.abs(totalCents) - parts.reduce((sum, part) => sum + part, 0);
+
+    const byRemainder = shares.map((share, i) => ({ i, remainder: share - parts[i] })).sort((a, b) => b.remainder - a.remainder);
+    for (let k = 0; left > 0; k++, left--) {
+      parts[byRemainder[k % byRemainder.length].i]++;
+    }
+
+    return parts.map(part => part * sign);
+  }
+
+  /**
+   * Tax and tax-inclusive total for every item of an order, aligned with order.items
+   * Line tax from Walmart is used as is. The rest of the order tax is split across the
+   * remaining taxable items in proportion to their price (items flagged non-taxable
+   * get none). Each item's total is its price plus its tax. Fees, tip and order
+   * discounts stay at order level, so item totals plus those amounts make the order
+   * total; a residue of up to a cent per item (rounded line prices) is spread across
+   * the items, and anything larger is left for validateOrder to flag.
+   * Returns [{tax, taxAllocated, total}]; money is null when it can't be worked out.
+   */
+  getItemTaxAllocation(order) {
+    const items = order.items || [];
+    const currency = order.total?.currency || 'USD';
+    const money = cents => ({ cents, currency });
+    const weightOf = item => Math.max(item.price?.cents || 0, 0);
+
+    const taxes = items.map(item => (item.tax ? item.tax.cents : null));
+    const allocated = items.map(() => false);
+
+    if (order.tax) {
+      const open = items.map((item, i) => taxes[i] === null);
+      const anyFlagged = items.some((item, i) => open[i] && item.taxable === true);
+      const eligible = items.map((item, i) => open[i] && (anyFlagged ? item.taxable === true : item.taxable !== false));
+      const remaining = order.tax.cents - taxes.reduce((sum, tax) => sum + (tax || 0), 0);
+      const shares = this.distributeCents(remaining, items.map((item, i) => (eligible[i] ? weightOf(item) : 0)));
+
+      items.forEach((item, i) => {
+        if (!open[i]) return;
+        taxes[i] = shares[i];
+        allocated[i] = eligible[i] && shares[i] !== 0;
+      });
+    }
+
+    const totals = items.map((item, i) => (item.price ? item.price.cents + (taxes[i] || 0) : null));
+    const residue = this.getItemTotalResidue(order, totals);
+    if (residue !== null && Math.abs(residue) <= this.getItemTotalTolerance(order)) {
+      const shares = this.distributeCents(residue, items.map(weightOf));
+      shares.forEach((share, i) => { totals[i] += share; });
+    }
+
+    return items.map((item, i) => ({
+      tax: taxes[i] === null ? null : money(taxes[i]),
+      taxAllocated: allocated[i],
+      total: totals[i] === null ? null : money(totals[i])
+    }));
+  }
+
+  /**
+   * Order-level amounts outside the item lines, in cents: fees and tip less discounts
+   * Discounts are taken from order.discounts when present, else the associate discount.
+   */
+  getOrderLevelCents(order) {
+    const toCents = value => (value ? value.cents : 0);
+    const discountCents = order.discounts?.length
+      ? order.discounts.reduce((sum, discount) => sum + toCents(discount.amount), 0)
+      : toCents(order.associateDiscount);
+    return toCents(order.deliveryFee) + toCents(order.expressFee) + toCents(order.driverTip) - Math.abs(discountCents);
+  }
+
+  /**
+   * Cents of the order total not covered by item totals and order-level amounts
+   * Returns null without an order total or when any item total is unknown.
+   */
+  getItemTotalResidue(order, totals) {
+    if (!order.total || totals.length === 0 || totals.some(total => total === null)) return null;
+    const itemCents = totals.reduce((sum, total) => sum + total, 0);
+    return order.total.cents - itemCents - this.getOrderLevelCents(order);
+  }
+
+  /**
+   * Largest residue spread across item totals: one cent of rounding per item
+   */
+  getItemTotalTolerance(order) {
+    return Math.max((order.items || []).length, 1) * VALIDATION_TOLERANCE_CENTS;
+  }
+
+  /**
+   * Tax allocation entry for one item (see getItemTaxAllocation)
+   * Each order is allocated once and cached by item until the next generateExport.
+   */
+  getItemTaxDetails(order, item) {
+    let allocation = this.taxAllocations.get(order);
+    if (!allocation) {
+      const entries = this.getItemTaxAllocation(order);
+      allocation = new Map((order.items || []).map((orderItem, i) => [orderItem, entries[i]]));
+      this.taxAllocations.set(order, allocation);
+    }
+    return allocation.get(item) || { tax: null, taxAllocated: false, total: null };
+  }
+
+  /**
+   * "Yes", "No" or '' (unknown) for an item's taxable flag
+   */
+  formatTaxable(item) {
+    if (typeof item?.taxable !== 'boolean') return '';
+    return item.taxable ? 'Yes' : 'No';
+  }
+
+  /**
+   * Whether the whole order was cancelled (order status, or every item cancelled)
+   */
+  isOrderCancelled(order) {
+    if (order.cancelled || this.normalizeReturnStatus(order.status) === 'cancelled') return true;
+    const items = order.items || [];
+    return items.length > 0 && items.every(item => item.returnStatus === 'cancelled');
+  }
+
+  /**
+   * Format field sources as "orderDate: nextData (high); total: listPage (medium)"
+   */
+  formatProvenance(provenance) {
+    return Object.entries(provenance || {})
+      .map(([field, { source, confidence }]) => `${field}: ${source} (${confidence})`)
+      .join('; ');
+  }
+
+  /**
+   * Validate every collected order and store the result on order.validation
+   * Later occurrences of an order ID already seen are flagged as duplicates.
+   * Returns a summary: {ok, warning, error, issues: [{code, label, severity, count}]}
+   */
+  validateOrders() {
+    const summary = { ok: 0, warning: 0, error: 0, issues: [] };
+    const counts = new Map();
+    const seen = new Set();
+
+    for (const order of this.orders) {
+      order.validation = this.validateOrder(order, seen.has(order.orderId));
+      if (order.orderId) seen.add(order.orderId);
+
+      summary[order.validation.status]++;
+      for (const issue of order.validation.issues) {
+        counts.set(issue.code, (counts.get(issue.code) || 0) + 1);
+      }
+      if (order.validation.issues.length > 0) {
+        console.log('[Walmart Order Exporter] Validation', order.orderId, order.validation.status + ':', this.formatValidationIssues(order.validation));
+      }
+    }
+
+    summary.issues = Object.entries(VALIDATION_ISSUES)
+      .filter(([code]) => counts.has(code))
+      .map(([code, { label, severity }]) => ({ code, label, severity, count: counts.get(code) }));
+
+    return summary;
+  }
+
+  /**
+   * Check one order for missing fields, placeholder values and amounts that don't reconcile
+   * Items are checked against the subtotal when every item has a price, and
+   * subtotal + tax + fees + tip - discounts against the total. Cancelled orders
+   * skip the arithmetic checks since Walmart keeps their original amounts.
+   * @returns {Object} {status: 'ok' | 'warning' | 'error', issues: [{code, severity, message}]}
+   */
+  validateOrder(order, isDuplicate = false) {
+    const issues = [];
+    const addIssue = (code, message) => issues.push({ code, severity: VALIDATION_ISSUES[code].severity, message });
+    const items = order.items || [];
+
+    if (order.error) {
+      addIssue('fetchError', `Order details could not be fetched: ${order.error}`);
+    }
+
+    for (const field of ['orderId', 'status', 'total']) {
+      if (!this.hasExtractedValue(order[field])) {
+        addIssue('missingField', `Missing ${field}`);
+      }
+    }
+
+    if (isDuplicate) {
+      addIssue('duplicateOrder', `Order ${order.orderId} appears more than once`);
+    }
+
+    if (!order.orderDate || order.orderDate === 'Unknown') {
+      addIssue('unknownDate', 'Order date is unknown');
+    }
+
+    const placeholders = items.filter(item => /^no items found$/i.test(String(item.name || '').trim()));
+    if (items.length === 0 || placeholders.length === items.length) {
+      addIssue('noItems', 'No items found');
+    } else if (placeholders.length > 0) {
+      addIssue('noItems', `${placeholders.length} item(s) named "No items found"`);
+    }
+
+    if (!this.isOrderCancelled(order)) {
+      const currency = order.total?.currency || order.subtotal?.currency || 'USD';
+      const money = cents => this.formatMoney({ cents, currency });
+      const toCents = value => (value ? value.cents : 0);
+      const billed = items.filter(item => item.returnStatus !== 'cancelled');
+
+      if (order.subtotal && billed.length > 0 && billed.every(item => item.price)) {
+        const itemsCents = billed.reduce((sum, item) => sum + item.price.cents, 0);
+        if (Math.abs(itemsCents - order.subtotal.cents) > VALIDATION_TOLERANCE_CENTS) {
+          addIssue('itemsMismatch', `Items add up to ${money(itemsCents)} but subtotal is ${money(order.subtotal.cents)}`);
+        }
+      }
+
+      if (order.total && order.subtotal) {
+        const expectedCents = order.subtotal.cents + toCents(order.tax) + this.getOrderLevelCents(order);
+        if (Math.abs(expectedCents - order.total.cents) > VALIDATION_TOLERANCE_CENTS) {
+          addIssue('totalMismatch', `Subtotal, tax, fees, tip and discounts add up to ${money(expectedCents)} but total is ${money(order.total.cents)}`);
+        }
+      }
+
+      if (!issues.some(issue => issue.code === 'itemsMismatch' || issue.code === 'totalMismatch')) {
+        const totals = this.getItemTaxAllocation(order).map(entry => (entry.total ? entry.total.cents : null));
+        const residue = this.getItemTotalResidue(order, totals);
+        if (residue !== null && residue !== 0) {
+          addIssue('itemTotalsMismatch', `Item totals incl. tax, fees, tip and discounts leave ${money(residue)} of the total unaccounted for`);
+        }
+      }
+    }
+
+    const severities = issues.map(issue => issue.severity);
+    const status = severities.includes('error') ? 'error' : (severities.includes('warning') ? 'warning' : 'ok');
+
+    return { status, issues };
+  }
+
+  /**
+   * Format validation issues as "Order date is unknown; Missing total"
+   */
+  formatValidationIssues(validation) {
+    return (validation?.issues || []).map(issue => issue.message).join('; ');
+  }
+
+  /**
+   * Format discount entries as "label: -$1.00; label: -$2.00"
+   */
+  formatDiscounts(discounts) {
+    return (discounts || []).map(d => `${d.label}: ${this.formatMoney(d.amount)}`).join('; ');
+  }
+
+  /**
+   * Format payment tenders as "Visa ****1234: $40.00; Gift card: $5.00"
+   */
+  formatPayments(payments) {
+    return (payments || []).map(payment => {
+      const name = this.formatTenderName(payment);
+      return payment.amount ? `${name}: ${this.formatMoney(payment.amount)}` : name;
+    }).join('; ');
+  }
+
+  /**
+   * Tender type with its masked card number, e.g. "Visa ****1234"
+   */
+  formatTenderName(payment) {
+    return [payment.type || 'Payment', payment.last4 ? `****${payment.last4}` : ''].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Names of the price flags set on an item, e.g. "Rollback; Clearance"
+   */
+  formatPriceFlags(item) {
+    return [item?.rollback && 'Rollback', item?.clearance && 'Clearance'].filter(Boolean).join('; ');
+  }
+
+  /**
+   * Extract items from an order container using image alt text
+   */
+  extractItemsFromOrderContainer(container) {
+    if (!container) return [];
+
+    const items = [];
+    const seen = new Set();
+
+    // Find all images with alt text (product images)
+    const images = container.querySelectorAll('img[alt]');
+
+    images.forEach(img => {
+      let name = img.alt?.trim();
+      if (!name || name.length < 10 || name.length > 300) return;
+
+      // Skip non-product images
+      const skipPatterns = [
+        /^Walmart/i,
+        /^Pro Seller$/i,
+        /Privacy/i,
+        /^star/i,
+        /rating/i,
+        /logo/i,
+        /icon/i,
+        /avatar/i
+      ];
+
+      for (const pattern of skipPatterns) {
+        if (pattern.test(name)) return;
+      }
+
+      // Check for quantity in the alt text (e.g., "Product Name, quantity 2")
+      let quantity = 1;
+      const qtyMatch = name.match(/,\s*quantity\s+(\d+)$/i);
+      if (qtyMatch) {
+        quantity = parseInt(qtyMatch[1]);
+        name = name.replace(/,\s*quantity\s+\d+$/i, '').trim();
+      }
+
+      if (!seen.has(name) && this.isValidProductName(name)) {
+        seen.add(name);
+        items.push({
+          name,
+          quantity,
+          price: null // Price not available on list page
+        });
+        console.log('[Walmart Order Exporter] Found item:', name.substring(0, 50));
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Get order IDs from links on the current page (or a fetched list page passed as root)
+   * Returns objects with {orderId, url, isStore} for each order
+   */
+  getOrderIdsFromPage(root = document) {
+    if (root !== document) {
+      const nextDataOrders = this.extractOrderDataFromListNextData(this.readNextData(root));
+      if (nextDataOrders?.length) {
+        return nextDataOrders.map(order => {
+          const isStore = order.orderType === 'store';
+          return { orderId: order.orderId, url: this.getOrderPageUrl(order.orderId, isStore), isStore };
+        });
+      }
+    }
+
+    const links = root.querySelectorAll('a[href*="/orders/"]');
+    const orderMap = new Map(); // Use map to deduplicate by orderId
+
+    links.forEach(link => {
+      const match = link.href.match(/\/orders\/(\d+)(\?.*)?/);
+      if (match) {
+        const orderId = match[1];
+        const url = link.href;
+        const isStore = url.includes('storePurchase=true');
+
+        // Prefer store purchase URL if we find one (more specific)
+        if (!orderMap.has(orderId) || isStore) {
+          orderMap.set(orderId, {
+            orderId,
+            url,
+            isStore
+          });
+        }
+      }
+    });
+
+    const orders = Array.from(orderMap.values());
+    console.log('[Walmart Order Exporter] Found orders on page:', orders.map(o => `${o.orderId}${o.isStore ? ' (store)' : ''}`));
+    return orders;
+  }
+
+  /**
+   * Get order summaries visible on current list page
+   */
+  getVisibleOrderSummaries() {
+    const summaries = [];
+    const buttons = document.querySelectorAll('button[aria-label*="View details"]');
+    const seen = new Set();
+
+    buttons.forEach(btn => {
+      const label = btn.getAttribute('aria-label');
+      if (label && !seen.has(label)) {
+        seen.add(label);
+
+        const statusInfo = label.replace('View details of ', '');
+
+        // Find the closest section/container
+        const section = btn.closest('section') || btn.closest('[class*="bt b--black"]');
+        let total = null;
+
+        if (section) {
+          // Look for order total
+          const elements = section.querySelectorAll('*');
+          for (const el of elements) {
+            const text = el.innerText || '';
+            if (text.startsWith('Order total $') && text.length < 25) {
+              total = this.parseMoney(text.replace('Order total ', ''));
+              break;
+            }
+          }
+        }
+
+        // Parse status info
+        const parts = statusInfo.split(', ');
+        const orderType = parts[0] || 'Delivery';
+        const status = parts.slice(1).join(', ') || 'Unknown';
+
+        summaries.push({
+          orderType,
+          status,
+          total
+        });
+      }
+    });
+
+    return summaries;
+  }
+
+  /**
+   * Fetch order details from Walmart's API
+   * The endpoints are guesses, so only server errors are retried.
+   */
+  async fetchOrderFromAPI(orderId) {
+    try {
+      // Try the order details API endpoint
+      const apiUrl = `https://www.walmart.com/api/order-details/${orderId}`;
+      const response = await this.scheduler.fetch(apiUrl, {
+        credentials: 'include',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        }
+      }, apiUrl, SERVER_ERROR_STATUSES);
+
+      if (response.ok) {
+        const data = JSON.parse(response.body);
+        console.log('[Walmart Order Exporter] Got API response for order:', orderId);
+        return data;
+      }
+    } catch (e) {
+      console.log('[Walmart Order Exporter] API fetch failed:', e.message);
+    }
+
+    // Try alternative API endpoints
+    const alternativeUrls = [
+      `https://www.walmart.com/api/orders/${orderId}`,
+      `https://www.walmart.com/orchestra/home/graphql/orderDetails/${orderId}`
+    ];
+
+    for (const url of alternativeUrls) {
+      try {
+        const response = await this.scheduler.fetch(url, {
+          credentials: 'include',
+          headers: {
+            'Accept': 'application/json'
+          }
+        }, url, SERVER_ERROR_STATUSES);
+        if (response.ok) {
+          const data = JSON.parse(response.body);
+          console.log('[Walmart Order Exporter] Got API response from:', url);
+          return data;
+        }
+      } catch (e) {
+        // Continue trying
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Fetch and parse order details page
+   * @param {string|Object} orderInfo - Either an orderId string (backward compatible) or {orderId, url, isStore} object
+   */
+  async fetchOrderDetails(orderInfo) {
+    // Support both old format (string) and new format (object)
+    const orderId = typeof orderInfo === 'string' ? orderInfo : orderInfo.orderId;
+    const isStore = typeof orderInfo === 'object' ? orderInfo.isStore : false;
+    const orderUrl = typeof orderInfo === 'object' && orderInfo.url
+      ? orderInfo.url
+      : this.getOrderPageUrl(orderId, isStore);
+
+    try {
+      // The order API needs no page fetch when it has the order
+      const apiData = await this.fetchOrderFromAPI(orderId);
+      const context = { orderId, isStore, apiData };
+
+      if (apiData && (apiData.orderDetails || apiData.lineItems || apiData.items)) {
+        console.log('[Walmart Order Exporter] Using API data for order:', orderId);
+      } else {
+        const response = await this.scheduler.fetch(orderUrl, {
+          credentials: 'include',
+          headers: {
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+          }
+        });
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const html = response.body;
+        console.log('[Walmart Order Exporter] HTML length for order', orderId, ':', html.length);
+
+        const parser = new DOMParser();
+        context.doc = parser.parseFromString(html, 'text/html');
+        context.nextData = this.readNextData(context.doc);
+
+        // Check if this is a store purchase (from URL or page content)
+        context.isStore = isStore || this.isStorePurchase(orderUrl, context.doc);
+      }
+
+      return this.runExtractors(context);
+    } catch (error) {
+      console.error(`Error fetching order ${orderId}:`, error);
+      return {
+        ...this.createEmptyOrder(orderId, isStore ? 'store' : 'online'),
+        status: 'Error fetching',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * An order with every field at its "unknown" default
+   * This is the one definition of the order shape: every parser and strategy
+   * spreads it and overrides the fields it found.
+   */
+  createEmptyOrder(orderId, orderType = 'online') {
+    return {
+      orderId,
+      orderNumber: orderId,
+      orderType,
+      orderDate: 'Unknown',
+      status: 'Unknown',
+      items: [],
+      subtotal: null,
+      tax: null,
+      total: null,
+      associateDiscount: null,
+      driverTip: null,
+      deliveryFee: null,
+      expressFee: null,
+      discounts: [],
+      payments: [],
+      fulfillment: null,
+      shipments: [],
+      refunds: [],
+      storeReceipt: null,
+      storeLocation: { name: '', address: '' }
+    };
+  }
+
+  /**
+   * Add an extraction strategy, or replace the one with the same name
+   * @param {Object} strategy - {name, confidence, fieldConfidence?, extract(context)}; extract
+   *   returns partial order fields or null (see EXTRACTION_STRATEGIES for the context)
+   */
+  registerExtractor(strategy) {
+    if (!strategy?.name || typeof strategy.extract !== 'function' || !CONFIDENCE[strategy.confidence]) {
+      throw new Error('An extractor needs a name, an extract function and a confidence of high, medium or low');
+    }
+
+    const index = this.extractors.findIndex(extractor => extractor.name === strategy.name);
+    if (index >= 0) {
+      this.extractors[index] = strategy;
+    } else {
+      this.extractors.push(strategy);
+    }
+  }
+
+  /**
+   * Run every extraction strategy on what is known about an order and merge the results
+   * @param {Object} context - {orderId, isStore, listOrder?, apiData?, doc?, nextData?, previous?};
+   *   previous is an already merged order whose values compete with their recorded confidence
+   * @returns {Object} The merged order, with provenance recording each field's source
+   */
+  runExtractors(context) {
+    const extractions = context.previous ? this.extractionsFromOrder(context.previous) : [];
+
+    for (const extractor of this.extractors) {
+      let fields = null;
+      try {
+        fields = extractor.extract(context);
+      } catch (error) {
+        console.error('[Walmart Order Exporter] Extractor', extractor.name, 'failed:', error);
+      }
+
+      if (fields) {
+        extractions.push({
+          source: extractor.name,
+          confidence: extractor.confidence,
+          fieldConfidence: extractor.fieldConfidence || {},
+          fields
+        });
+      }
+    }
+
+    const order = this.mergeExtractions(context.orderId, extractions, context.isStore ? 'store' : 'online');
+    console.log('[Walmart Order Exporter] Merged order', context.orderId, 'from', extractions.map(extraction => extraction.source).join(', ') || 'nothing');
+    return order;
+  }
+
+  /**
+   * Pick the best value for every field across extraction results
+   * The highest confidence wins; ties go to the strategy registered first. Missing
+   * values ('Unknown', '', null, empty lists) never win. Shipments follow the items.
+   */
+  mergeExtractions(orderId, extractions, orderType = 'online') {
+    const order = this.createEmptyOrder(orderId, orderType);
+    const provenance = {};
+    const rankOf = source => {
+      const index = this.extractors.findIndex(extractor => extractor.name === source);
+      return index >= 0 ? index : this.extractors.length;
+    };
+
+    const fields = new Set(extractions.flatMap(extraction => Object.keys(extraction.fields)));
+    ['orderId', 'shipments', 'provenance'].forEach(field => fields.delete(field));
+
+    for (const field of fields) {
+      let best = null;
+      for (const extraction of extractions) {
+        if (!this.hasExtractedValue(extraction.fields[field])) continue;
+
+        const confidence = extraction.fieldConfidence[field] || extraction.confidence;
+        const score = CONFIDENCE[confidence] || 0;
+        const rank = rankOf(extraction.source);
+        if (!best || score > best.score || (score === best.score && rank < best.rank)) {
+          best = { extraction, confidence, score, rank };
+        }
+      }
+      if (!best) continue;
+
+      order[field] = best.extraction.fields[field];
+      provenance[field] = { source: best.extraction.source, confidence: best.confidence };
+      if (field === 'items') {
+        order.shipments = best.extraction.fields.shipments || [];
+      }
+    }
+
+    order.provenance = provenance;
+    return order;
+  }
+
+  /**
+   * Turn a merged order back into one extraction per recorded source
+   */
+  extractionsFromOrder(order) {
+    const bySource = new Map();
+    for (const [field, { source, confidence }] of Object.entries(order.provenance || {})) {
+      if (!bySource.has(source)) {
+        bySource.set(source, { source, confidence, fieldConfidence: {}, fields: {} });
+      }
+
+      const extraction = bySource.get(source);
+      extraction.fieldConfidence[field] = confidence;
+      extraction.fields[field] = order[field];
+      if (field === 'items') {
+        extraction.fields.shipments = order.shipments;
+      }
+    }
+    return [...bySource.values()];
+  }
+
+  /**
+   * Whether an extracted value carries information
+   */
+  hasExtractedValue(value) {
+    if (value === null || value === undefined || value === false || value === '' || value === 'Unknown') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'object') return Object.values(value).some(part => this.hasExtractedValue(part));
+    return true;
+  }
+
+  /**
+   * Strategy: order already extracted from the visible order list
+   */
+  extractWithListPage({ listOrder }) {
+    return listOrder || null;
+  }
+
+  /**
+   * Strategy: items, shipments, totals, discounts, payments and fulfillment from the
+   * order page's __NEXT_DATA__
+   */
+  extractWithNextData({ orderId, nextData }) {
+    if (!nextData) return null;
+
+    const shipments = this.extractShipmentsFromNextData(nextData, orderId);
+    const items = shipments.flatMap(shipment => shipment.items);
+    console.log('[Walmart Order Exporter] Extracted', items.length, 'detailed items in', shipments.length, 'shipments for order', orderId);
+
+    // Order metadata (date, subtotal, tax, fees, discounts)
+    const orderMeta = this.extractOrderMetaFromNextData(nextData) || {};
+    if (orderMeta.orderDate) {
+      // Normalize the date format (ISO timestamp -> "Jan 22, 2026")
+      orderMeta.orderDate = this.formatDate(orderMeta.orderDate);
+    }
+
+    return { ...orderMeta, items, shipments };
+  }
+
+  /**
+   * Strategy: Walmart's order details API
+   */
+  extractWithOrderApi({ orderId, apiData }) {
+    if (!apiData || !(apiData.orderDetails || apiData.lineItems || apiData.items)) return null;
+    return this.parseOrderFromJSONData(apiData.orderDetails || apiData, orderId);
+  }
+
+  /**
+   * Strategy: order-like JSON embedded in an online order page
+   */
+  extractWithEmbeddedJson({ orderId, doc, isStore }) {
+    if (!doc || isStore) return null;
+    const jsonData = this.extractOrderFromJSON(doc, orderId);
+    return jsonData ? this.parseOrderFromJSONData(jsonData, orderId) : null;
+  }
+
+  /**
+   * Strategy: store purchase page and its printed receipt
+   */
+  extractWithStoreReceipt({ orderId, doc, isStore }) {
+    return doc && isStore ? this.parseStorePurchasePage(doc, orderId) : null;
+  }
+
+  /**
+   * Strategy: rendered text and product links of an online order page
+   */
+  extractWithDetailPage({ orderId, doc, isStore }) {
+    return doc && !isStore ? this.parseOrderDetailPage(doc, orderId) : null;
+  }
+
+  /**
+   * Strategy: "Product name $12.34" lines in a store purchase page
+   */
+  extractWithReceiptText({ doc, isStore }) {
+    const mainContent = doc && isStore ? doc.querySelector('main') : null;
+    if (!mainContent) return null;
+    return { items: this.extractItemsFromReceipt(doc, mainContent.innerText || '') };
+  }
+
+  /**
+   * Extract order data from embedded JSON (Next.js/React apps)
+   */
+  extractOrderFromJSON(doc, orderId) {
+    // Try to find Next.js data
+    const nextDataScript = doc.querySelector('script#__NEXT_DATA__');
+    if (nextDataScript) {
+      try {
+        const data = JSON.parse(nextDataScript.textContent);
+        console.log('[Walmart Order Exporter] Found __NEXT_DATA__');
+        return this.parseNextJSData(data, orderId);
+      } catch (e) {
+        console.log('[Walmart Order Exporter] Failed to parse __NEXT_DATA__:', e);
+      }
+    }
+
+    // Try to find inline JSON in script tags
+    const scripts = doc.querySelectorAll('script');
+    for (const script of scripts) {
+      const text = script.textContent || '';
+
+      // Look for order data patterns
+      if (text.includes('orderDetails') || text.includes('lineItems') || text.includes(orderId)) {
+        // Try to extract JSON objects
+        const jsonMatches = text.match(/\{[^{}]*"orderDetails"[^{}]*\}/g) ||
+                           text.match(/\{[^{}]*"lineItems"[^{}]*\}/g);
+        if (jsonMatches) {
+          for (const match of jsonMatches) {
+            try {
+              const data = JSON.parse(match);
+              if (data.orderDetails || data.lineItems) {
+                console.log('[Walmart Order Exporter] Found order data in script tag');
+                return data;
+              }
+            } catch (e) {
+              // Continue trying
+            }
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse Next.js embedded data structure
+   */
+  parseNextJSData(data, orderId) {
+    try {
+      // Navigate through Next.js data structure
+      const props = data?.props?.pageProps;
+      console.log('[Walmart Order Exporter] pageProps keys:', props ? Object.keys(props) : 'none');
+
+      if (!props) return null;
+
+      // Look for order data in various possible locations
+      const possibleKeys = ['orderDetails', 'order', 'orderData', 'initialData', 'initialState', 'data'];
+      for (const key of possibleKeys) {
+        if (props[key]) {
+          console.log('[Walmart Order Exporter] Found data at props.' + key);
+          const orderData = props[key].order || props[key].orderDetails || props[key];
+          if (orderData) return orderData;
+        }
+      }
+
+      // Check for Apollo/GraphQL cache
+      if (props.__APOLLO_STATE__) {
+        const apolloState = props.__APOLLO_STATE__;
+        console.log('[Walmart Order Exporter] Apollo state keys:', Object.keys(apolloState).slice(0, 10));
+        for (const key of Object.keys(apolloState)) {
+          if (key.includes('Order') || key.includes(orderId)) {
+            console.log('[Walmart Order Exporter] Found order in Apollo state:', key);
+            return apolloState[key];
+          }
+        }
+      }
+
+      // Try to find order data anywhere in props
+      const propsStr = JSON.stringify(props);
+      if (propsStr.includes(orderId)) {
+        console.log('[Walmart Order Exporter] Order ID found in props, searching deeper...');
+        // Deep search for the order
+        return this.deepSearchForOrder(props, orderId);
+      }
+    } catch (e) {
+      console.log('[Walmart Order Exporter] Error parsing Next.js data:', e);
+    }
+    return null;
+  }
+
+  /**
+   * Deep search for order data in nested object
+   */
+  deepSearchForOrder(obj, orderId, depth = 0) {
+    if (depth > 10 || !obj) return null;
+
+    if (typeof obj !== 'object') return null;
+
+    // Check if this object looks like order data
+    if (obj.orderId === orderId || obj.id === orderId || obj.orderNumber?.includes(orderId)) {
+      return obj;
+    }
+
+    // Check for lineItems or items array (strong indicator of order data)
+    if ((obj.lineItems || obj.items || obj.orderLines) && Array.isArray(obj.lineItems || obj.items || obj.orderLines)) {
+      const items = obj.lineItems || obj.items || obj.orderLines;
+      if (items.length > 0 && items[0].name) {
+        console.log('[Walmart Order Exporter] Found order-like object with items at depth', depth);
+        return obj;
+      }
+    }
+
+    // Recursively search
+    for (const key of Object.keys(obj)) {
+      const result = this.deepSearchForOrder(obj[key], orderId, depth + 1);
+      if (result) return result;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse order detail page HTML (online orders) from its rendered text and DOM
+   * Embedded JSON on the same page is read by the embeddedJson strategy.
+   */
+  parseOrderDetailPage(doc, orderId) {
+    const mainContent = doc.querySelector('main');
+    const bodyContent = doc.body;
+    const contentToSearch = mainContent || bodyContent;
+
+    if (!contentToSearch) {
+      return {
+        ...this.createEmptyOrder(orderId),
+        status: 'Could not parse'
+      };
+    }
+
+    const pageText = contentToSearch.innerText || '';
+    const fullHTML = doc.documentElement.innerHTML || '';
+
+    // Extract order date - try multiple patterns
+    let orderDate = 'Unknown';
+    const datePatterns = [
+      /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},\s+\d{4}\s+order/i,
+      /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},\s+\d{4}/i,
+      /(\d{1,2}\/\d{1,2}\/\d{4})/
+    ];
+    for (const pattern of datePatterns) {
+      const match = (pageText + fullHTML).match(pattern);
+      if (match) {
+        orderDate = match[0].replace(' order', '');
+        break;
+      }
+    }
+
+    // Extract order number
+    const orderNumMatch = (pageText + fullHTML).match(/Order#?\s*([\d-]+)/i);
+    const orderNumber = orderNumMatch ? orderNumMatch[1] : orderId;
+
+    // Extract status
+    let status = 'Unknown';
+    if (pageText.includes('Delivered') || fullHTML.includes('Delivered')) {
+      status = 'Delivered';
+    } else if (pageText.includes('Arrives') || fullHTML.includes('Arrives')) {
+      status = 'In Transit';
+    } else if (pageText.includes('Shipped') || fullHTML.includes('Shipped')) {
+      status = 'Shipped';
+    }
+
+    // Extract items using DOM-based approach
+    const items = this.extractItemsFromDOM(doc);
+
+    // Extract totals from HTML as well
+    const combinedText = pageText + fullHTML;
+    const subtotalMatch = combinedText.match(/Subtotal[:\s]*\$?([\d,]+\.\d{2})/i);
+    const taxMatch = combinedText.match(/Tax[:\s]*\$?([\d,]+\.\d{2})/i);
+    const totalMatch = combinedText.match(/(?:Order\s*)?Total[:\s]*\$?([\d,]+\.\d{2})/i);
+
+    return {
+      ...this.createEmptyOrder(orderId),
+      orderNumber,
+      orderDate,
+      status,
+      items,
+      subtotal: subtotalMatch ? this.parseMoney(subtotalMatch[1]) : null,
+      tax: taxMatch ? this.parseMoney(taxMatch[1]) : null,
+      total: totalMatch ? this.parseMoney(totalMatch[1]) : null
+    };
+  }
+
+  /**
+   * Parse order data from JSON structure
    */
   parseOrderFromJSONData(data, orderId) {
     console.log('[Walmart Order Exporter] Parsing JSON data, keys:', Object.keys(data));
 
-    const items = [];
+    const items = [];
+
+    // Extract items from various possible structures
+    const lineItems = data.lineItems || data.items || data.orderLines || data.products || data.orderItems || [];
+    console.log('[Walmart Order Exporter] Found', lineItems.length, 'line items');
+
+    for (const item of lineItems) {
+      // Handle nested item structures
+      const itemData = item.item || item.product || item;
+      const name = itemData.name || itemData.productName || itemData.description || itemData.title || '';
+      const price = itemData.price || itemData.unitPrice || itemData.salePrice || itemData.linePrice || itemData.itemPrice || '';
+      const quantity = itemData.quantity || itemData.qty || item.quantity || 1;
+
+      if (name) {
+        items.push({
+          name,
+          quantity,
+          price: this.parseMoney(price)
+        });
+        console.log('[Walmart Order Exporter] Added item:', name.substring(0, 40));
+      }
+    }
+
+    // Extract date from various possible fields
+    let orderDate = 'Unknown';
+    const dateFields = ['orderDate', 'placedDate', 'date', 'createdDate', 'purchaseDate', 'orderPlacedDate', 'submittedDate'];
+    for (const field of dateFields) {
+      if (data[field]) {
+        orderDate = this.formatDate(data[field]);
+        console.log('[Walmart Order Exporter] Found date in field:', field, '=', orderDate);
+        break;
+      }
+    }
+
+    // Extract status
+    let status = data.status || data.orderStatus || data.fulfillmentStatus || 'Unknown';
+    if (typeof status === 'object') {
+      status = status.label || status.name || status.value || 'Unknown';
+    }
+
+    // Extract totals
+    const subtotal = this.parseMoney(data.subtotal || data.subTotal || data.itemsTotal);
+    const tax = this.parseMoney(data.tax || data.taxTotal || data.estimatedTax);
+    const total = this.parseMoney(data.total || data.orderTotal || data.grandTotal);
+
+    return {
+      ...this.createEmptyOrder(orderId),
+      orderNumber: data.orderNumber || data.orderId || data.id || orderId,
+      orderDate,
+      status,
+      items,
+      subtotal,
+      tax,
+      total
+    };
+  }
+
+  /**
+   * Format a date value to readable string
+   */
+  formatDate(dateValue) {
+    if (!dateValue) return 'Unknown';
+
+    try {
+      // If it's already a readable string like "Jan 15, 2024"
+      if (typeof dateValue === 'string' && /[A-Za-z]/.test(dateValue)) {
+        return dateValue;
+      }
+
+      // Try to parse as date
+      const date = new Date(dateValue);
+      if (!isNaN(date.getTime())) {
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+      }
+    } catch (e) {
+      // Fall through
+    }
+
+    return String(dateValue);
+  }
+
+  /**
+   * Extract items from DOM elements (more reliable than regex)
+   */
+  extractItemsFromDOM(doc) {
+    const items = [];
+    const seen = new Set();
+
+    // Strategy 1: Find product links (most reliable)
+    // Walmart product links typically go to /ip/ pages
+    const productLinks = doc.querySelectorAll('a[href*="/ip/"]');
+    console.log('[Walmart Order Exporter] Found', productLinks.length, 'product links');
+
+    productLinks.forEach(link => {
+      const name = link.textContent?.trim();
+      if (name && name.length > 5 && name.length < 300 && !seen.has(name)) {
+        let price = null;
+        let quantity = 1;
+
+        // Traverse up the DOM tree to find a container with price info
+        // Walmart's DOM requires going up ~15 levels to find the price
+        let container = link;
+        for (let i = 0; i < 20 && container; i++) {
+          container = container.parentElement;
+          if (container) {
+            // Look for price element with data-testid="line-price"
+            const priceEl = container.querySelector('[data-testid="line-price"]');
+            if (priceEl) {
+              const priceText = priceEl.textContent || '';
+              const priceMatch = priceText.match(/\$(\d+\.\d{2})/);
+              if (priceMatch) {
+                price = this.parseMoney(priceMatch[1]);
+              }
+
+              // Also look for quantity in this container
+              const containerText = container.innerText || '';
+              const qtyMatch = containerText.match(/Qty\s*(\d+)/i);
+              if (qtyMatch) {
+                quantity = parseInt(qtyMatch[1]);
+              }
+              break;
+            }
+          }
+        }
+
+        // Fallback: if no data-testid price found, try regex on larger container
+        if (!price && container) {
+          const containerText = container.innerText || '';
+          const priceMatch = containerText.match(/\$(\d+\.\d{2})/);
+          if (priceMatch) {
+            price = this.parseMoney(priceMatch[1]);
+          }
+          const qtyMatch = containerText.match(/Qty\s*(\d+)/i);
+          if (qtyMatch) {
+            quantity = parseInt(qtyMatch[1]);
+          }
+        }
+
+        if (this.isValidProductName(name)) {
+          seen.add(name);
+          items.push({
+            name,
+            quantity,
+            price,
+            ...this.extractItemSavingsFromText(container?.innerText || '', quantity),
+            ...(this.parseMeasureText(container?.innerText || '') || { unitOfMeasure: '', measuredQuantity: null, unitPrice: null }),
+            ...this.extractItemReturnFromText(container?.innerText || ''),
+            ...this.extractItemSubstitutionFromText(container?.innerText || ''),
+            ...this.extractItemSellerFromText(container?.innerText || ''),
+            ...this.extractProductIdentifiers({ productUrl: link.getAttribute('href') })
+          });
+          console.log('[Walmart Order Exporter] Added item:', name.substring(0, 40), 'price:', this.formatMoney(price));
+        }
+      }
+    });
+
+    console.log('[Walmart Order Exporter] Strategy 1 found', items.length, 'items');
+
+    // Strategy 2: If no product links found, try looking for item containers
+    if (items.length === 0) {
+      // Look for elements that might be product names by their structure
+      const allLinks = doc.querySelectorAll('a[data-testid], a[class*="product"], a[class*="item"]');
+
+      allLinks.forEach(link => {
+        const name = link.textContent?.trim();
+        if (name && name.length > 10 && name.length < 300 && !seen.has(name) && this.isValidProductName(name)) {
+          seen.add(name);
+
+          const container = link.closest('div') || link.parentElement;
+          let price = null;
+          let quantity = 1;
+
+          if (container) {
+            const text = container.innerText || '';
+            const priceMatch = text.match(/\$(\d+\.\d{2})/);
+            if (priceMatch) price = this.parseMoney(priceMatch[1]);
+
+            const qtyMatch = text.match(/Qty\s*(\d+)/i);
+            if (qtyMatch) quantity = parseInt(qtyMatch[1]);
+          }
+
+          items.push({
+            name,
+            quantity,
+            price
+          });
+        }
+      });
+    }
+
+    // Strategy 3: Fallback - find any element with substantial text near a price
+    if (items.length === 0) {
+      const allElements = doc.querySelectorAll('span, div, p');
+
+      allElements.forEach(el => {
+        const text = el.textContent?.trim();
+        // Look for elements that look like product names (substantial text, not UI elements)
+        if (text &&
+            text.length > 15 &&
+            text.length < 200 &&
+            !text.includes('$') &&
+            !text.includes('Qty') &&
+            !seen.has(text) &&
+            this.isValidProductName(text)) {
+
+          // Check if there's a price nearby
+          const parent = el.parentElement;
+          if (parent) {
+            const parentText = parent.innerText || '';
+            const priceMatch = parentText.match(/\$(\d+\.\d{2})/);
+
+            if (priceMatch) {
+              seen.add(text);
+              items.push({
+                name: text,
+                quantity: 1,
+                price: this.parseMoney(priceMatch[1])
+              });
+            }
+          }
+        }
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Check if a string is a valid product name
+   */
+  isValidProductName(name) {
+    if (!name || name.length < 5 || name.length > 200) return false;
+
+    const invalidPatterns = [
+      /^Subtotal/i,
+      /^Total/i,
+      /^Tax/i,
+      /^Savings/i,
+      /^Associate discount/i,
+      /^Driver tip/i,
+      /^Payment method/i,
+      /^Delivery/i,
+      /^Address/i,
+      /^Order#/i,
+      /^Complete,/i,
+      /^Current,/i,
+      /^Not complete/i,
+      /^Placed/i,
+      /^Preparing/i,
+      /^On the way/i,
+      /^Delivered/i,
+      /^Return eligible/i,
+      /^How can we help/i,
+      /^Need more help/i,
+      /^Start a return/i,
+      /^Track shipment/i,
+      /^View delivery/i,
+      /^Charge history/i,
+      /^Walmart\+/i,
+      /^Free delivery/i,
+      /^Express\s*\$/i,
+      /^Temporary hold/i,
+      /^Your payment/i,
+      /^Ending in/i,
+      // Store purchase specific patterns
+      /^TC#/i,
+      /^Store purchase/i,
+      /^Purchased at/i,
+      /^Receipt/i,
+      /^Transaction/i,
+      /^Store:/i,
+      /^Walmart Supercenter/i,
+      /^Walmart Neighborhood/i,
+      /^Cash back/i,
+      /^Change due/i,
+      /^Tender/i,
+      /^VISA|MASTERCARD|AMEX|DISCOVER/i,
+      /^\d+\s+items?$/i
+    ];
+
+    for (const pattern of invalidPatterns) {
+      if (pattern.test(name)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if there's a next page button
+   */
+  hasNextPage(root = document) {
+    const nextBtn = root.querySelector('button[aria-label="Next page"]');
+    return nextBtn && !nextBtn.disabled;
+  }
+
+  /**
+   * URL of the order list page after the given one, or null when it is the last page
+   * Uses the next page URL from the pagination data in the page's __NEXT_DATA__,
+   * otherwise the page's own next link; a URL is never built from a cursor. Throws
+   * when the page has an enabled "Next page" button but neither, so the caller can
+   * click through instead.
+   * @param {Document} doc - The list page
+   * @param {string} url - URL the list page was loaded from
+   */
+  getNextListPageUrl(doc, url) {
+    const list = this.getOrderListFromNextData(this.readNextData(doc));
+    if (list?.hasNextPage === false) return null;
+    if (list?.nextPageUrl) {
+      return new URL(list.nextPageUrl, url).href;
+    }
+
+    const nextLink = doc.querySelector('a[aria-label="Next page"][href], a[rel="next"][href], link[rel="next"][href]');
+    if (nextLink) {
+      return new URL(nextLink.getAttribute('href'), url).href;
+    }
+
+    if (!this.hasNextPage(doc)) return null;
+    throw new Error('List page has no next page URL or link');
+  }
+
+  /**
+   * Fetch an order list page and parse it off-DOM; throws when it can't be fetched
+   */
+  async fetchListPage(url) {
+    const response = await this.scheduler.fetch(url, {
+      credentials: 'include',
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const html = response.body;
+    const parser = new DOMParser();
+    return parser.parseFromString(html, 'text/html');
+  }
+
+  /**
+   * Fetch the order list page after the given one and parse it off-DOM
+   * Returns {doc, url}, or null when there are no more pages. Throws when the
+   * page can't be fetched, repeats the page it continues from (same first order)
+   * or shows no new orders, i.e. the site ignored the page URL, so the caller can
+   * click through instead.
+   * @param {Document} doc - The list page to continue from
+   * @param {string} url - URL the list page was loaded from
+   * @param {number} pageNum - Number of the page to fetch
+   * @param {Set} seenOrderIds - IDs of the orders on earlier pages
+   */
+  async fetchNextListPage(doc, url, pageNum, seenOrderIds) {
+    const nextUrl = this.getNextListPageUrl(doc, url);
+    if (!nextUrl) return null;
+
+    console.log('[Walmart Order Exporter] Fetching order list page', pageNum + ':', nextUrl);
+    const nextDoc = await this.fetchListPage(nextUrl);
+
+    const nextOrders = this.getOrderIdsFromPage(nextDoc);
+    const firstOrderId = this.getOrderIdsFromPage(doc)[0]?.orderId;
+    if (firstOrderId && nextOrders[0]?.orderId === firstOrderId) {
+      throw new Error('Fetched list page repeats the previous page');
+    }
+    if (!nextOrders.some(order => !seenOrderIds.has(order.orderId))) {
+      throw new Error('Fetched list page has no new orders');
+    }
+
+    return { doc: nextDoc, url: nextUrl };
+  }
+
+  /**
+   * Click next page and wait for load
+   */
+  async goToNextPage() {
+    const nextBtn = document.querySelector('button[aria-label="Next page"]');
+    if (nextBtn && !nextBtn.disabled) {
+      nextBtn.click();
+      await this.waitForPageUpdate();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Wait for page content to update after navigation
+   */
+  waitForPageUpdate() {
+    return new Promise(resolve => {
+      setTimeout(resolve, 2000);
+    });
+  }
+
+  /**
+   * Wait between requests to avoid rate limiting
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Fetch the page of every listed order through the request scheduler
+   * Returns {doc, nextData} results aligned with orders; null where the fetch failed,
+   * the order already carries a fetch error or was already fetched on its own
+   * (fetchOrderDetails, which leaves provenance on the order).
+   */
+  async fetchOrderPages(orders) {
+    const pending = orders.filter(order => this.needsOrderPage(order)).length;
+    let fetchedCount = 0;
+
+    return Promise.all(orders.map(async order => {
+      if (!this.needsOrderPage(order)) return null;
+
+      const page = await this.fetchOrderPage(order.orderId, order.orderType === 'store');
+      this.sendProgress({
+        detail: `Fetched item prices for ${++fetchedCount} of ${pending} orders...`
+      });
+      return page;
+    }));
+  }
+
+  /**
+   * Whether a listed order still needs its order page fetched for item prices
+   */
+  needsOrderPage(order) {
+    return !order.error && !order.provenance;
+  }
+
+  /**
+   * Remember an order whose details could not be fetched
+   * kind is 'orderPage' (list order whose page failed) or 'orderDetails' (order fetched
+   * on its own); the entry is plain data so it can be saved with a checkpoint.
+   */
+  recordFetchFailure(order, kind, url = null) {
+    console.log('[Walmart Order Exporter] Could not fetch order', order.orderId + ':', order.error);
+    this.failedFetches.set(order.orderId, {
+      orderId: order.orderId,
+      isStore: order.orderType === 'store',
+      kind,
+      url,
+      error: order.error
+    });
+  }
+
+  /**
+   * Fetch a failed order again
+   * Resolves with the new order, or with null or an order carrying an error when it failed again.
+   */
+  async retryFetch(failure) {
+    const { orderId, isStore } = failure;
+
+    if (failure.kind === 'orderPage') {
+      const previous = this.orders.find(order => order.orderId === orderId);
+      const page = await this.fetchOrderPage(orderId, isStore);
+      return page && previous ? this.runExtractors({ orderId, isStore, previous, ...page }) : null;
+    }
+
+    return this.fetchOrderDetails({ orderId, isStore, url: failure.url });
+  }
+
+  /**
+   * Fetch every failed order once more and replace it in the export when it succeeds
+   */
+  async retryFailedFetches() {
+    // Orders left out by the filters don't need fetching again
+    for (const failure of this.failedFetches.values()) {
+      if (!this.orders.some(order => order.orderId === failure.orderId)) {
+        this.failedFetches.delete(failure.orderId);
+      }
+    }
+
+    const failures = Array.from(this.failedFetches.values());
+    if (failures.length === 0) return;
+
+    this.sendProgress({
+      label: 'Retrying failed orders...',
+      detail: `Fetching ${failures.length} orders again`
+    });
+
+    await Promise.all(failures.map(async failure => {
+      let order = null;
+      try {
+        order = await this.retryFetch(failure);
+      } catch (error) {
+        console.error('[Walmart Order Exporter] Retry failed for order:', failure.orderId, error);
+      }
+      if (!order || order.error) return;
+
+      const index = this.orders.findIndex(existing => existing.orderId === failure.orderId);
+      if (index >= 0) {
+        this.orders[index] = order;
+      }
+      this.failedFetches.delete(failure.orderId);
+      console.log('[Walmart Order Exporter] Fetched order on retry:', failure.orderId);
+    }));
+  }
+
+  /**
+   * Storage key of a checkpoint's nth order chunk
+   */
+  getCheckpointChunkKey(index) {
+    return `${CHECKPOINT_STORAGE_KEY}:orders:${index}`;
+  }
+
+  /**
+   * Saved checkpoint state without its orders (orderCount and chunkCount say how many
+   * were saved), or null when there is none (or it has an older shape)
+   */
+  async loadCheckpointState() {
+    try {
+      const { [CHECKPOINT_STORAGE_KEY]: checkpoint } = await chrome.storage.local.get(CHECKPOINT_STORAGE_KEY);
+      return checkpoint?.version === CHECKPOINT_VERSION ? checkpoint : null;
+    } catch (error) {
+      console.error('[Walmart Order Exporter] Error loading checkpoint:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Saved export checkpoint with its orders reassembled from their chunks, or null
+   * when there is none, it has an older shape or a chunk is missing
+   */
+  async loadCheckpoint() {
+    const checkpoint = await this.loadCheckpointState();
+    if (!checkpoint) return null;
+
+    try {
+      const keys = Array.from({ length: checkpoint.chunkCount }, (_, i) => this.getCheckpointChunkKey(i));
+      const chunks = keys.length > 0 ? await chrome.storage.local.get(keys) : {};
+      if (!keys.every(key => Array.isArray(chunks[key]))) {
+        console.log('[Walmart Order Exporter] Checkpoint is missing saved orders, ignoring it');
+        return null;
+      }
+
+      const orders = keys.flatMap(key => chunks[key]);
+      return orders.length === checkpoint.orderCount ? { ...checkpoint, orders } : null;
+    } catch (error) {
+      console.error('[Walmart Order Exporter] Error loading checkpoint:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the export state after a list page is done, so the export can be resumed
+   * from the next page if the tab reloads or the export is stopped
+   * Only the orders added since the last save are written, as one new chunk, so each
+   * save costs the size of a page rather than of the whole export so far.
+   */
+  async saveCheckpoint(state) {
+    const newOrders = this.orders.slice(this.checkpointOrderCount);
+    const chunkCount = this.checkpointChunkCount + (newOrders.length > 0 ? 1 : 0);
+    const checkpoint = {
+      version: CHECKPOINT_VERSION,
+      savedAt: new Date().toISOString(),
+      ...state,
+      orderCount: this.orders.length,
+      chunkCount,
+      processedOrders: this.processedOrders,
+      failedFetches: Array.from(this.failedFetches.values())
+    };
+
+    const items = { [CHECKPOINT_STORAGE_KEY]: checkpoint };
+    if (newOrders.length > 0) {
+      items[this.getCheckpointChunkKey(this.checkpointChunkCount)] = newOrders;
+    }
+
+    try {
+      await chrome.storage.local.set(items);
+      this.checkpointOrderCount = this.orders.length;
+      this.checkpointChunkCount = chunkCount;
+      console.log('[Walmart Order Exporter] Saved checkpoint: page', state.pageNum + ',', newOrders.length, 'new orders,', this.orders.length, 'in total');
+    } catch (error) {
+      console.error('[Walmart Order Exporter] Error saving checkpoint:', error);
+    }
+  }
+
+  /**
+   * Relink an order loaded from a checkpoint
+   * Storage hands back copies, so each shipment's items are rebuilt from order.items
+   * (by shipmentIndex) to be the same objects again.
+   */
+  restoreCheckpointOrder(order) {
+    (order.shipments || []).forEach((shipment, i) => {
+      shipment.items = (order.items || []).filter(item => item.shipmentIndex === i);
+    });
+    return order;
+  }
+
+  /**
+   * Remove the saved checkpoint and its order chunks
+   */
+  async clearCheckpoint() {
+    this.checkpointOrderCount = 0;
+    this.checkpointChunkCount = 0;
+
+    try {
+      const checkpoint = await this.loadCheckpointState();
+      const chunkKeys = Array.from({ length: checkpoint?.chunkCount || 0 }, (_, i) => this.getCheckpointChunkKey(i));
+      await chrome.storage.local.remove([CHECKPOINT_STORAGE_KEY, ...chunkKeys]);
+    } catch (error) {
+      console.error('[Walmart Order Exporter] Error clearing checkpoint:', error);
+    }
+  }
+
+  /**
+   * Main export function
+   * With options.resume, continues from the saved checkpoint: orders are collected
+   * with the checkpoint's options, while OUTPUT_OPTION_KEYS come from this run.
+   */
+  async exportOrders(options = {}) {
+    const checkpoint = options.resume ? await this.loadCheckpoint() : null;
+    if (checkpoint) {
+      const outputOptions = Object.fromEntries(OUTPUT_OPTION_KEYS.filter(key => key in options).map(key => [key, options[key]]));
+      options = { ...checkpoint.options, ...outputOptions };
+      console.log('[Walmart Order Exporter] Resuming export from page', checkpoint.pageNum, 'with', checkpoint.orders.length, 'orders');
+    } else {
+      if (options.resume) {
+        console.log('[Walmart Order Exporter] No checkpoint to resume, starting a new export');
+      }
+      options = { ...options, resume: false };
+      await this.clearCheckpoint();
+    }
+
+    console.log('[Walmart Order Exporter] Starting export with options:', options);
+
+    const {
+      includeItems = true,
+      allPages = true,
+      dateRange = 30,
+      orderTypeFilter = 'all',
+      excludeCancelled = false,
+      purchaseKindFilter = 'all',
+      fetchItemPrices = false,
+      requestOptions = {},
+      paginationMode = 'fetch'
+    } = options;
+
+    this.isExporting = true;
+    this.orders = checkpoint ? checkpoint.orders.map(order => this.restoreCheckpointOrder(order)) : [];
+    this.processedOrders = checkpoint ? checkpoint.processedOrders : 0;
+    this.checkpointOrderCount = checkpoint ? checkpoint.orderCount : 0;
+    this.checkpointChunkCount = checkpoint ? checkpoint.chunkCount : 0;
+    this.failedFetches = new Map((checkpoint?.failedFetches || []).map(failure => [failure.orderId, failure]));
+    this.lastExportOptions = null;
+    this.scheduler.reset(requestOptions);
+
+    // Calculate cutoff date (a resumed export keeps the one it started with)
+    let cutoffDate = null;
+    if (checkpoint) {
+      cutoffDate = checkpoint.cutoffDate ? new Date(checkpoint.cutoffDate) : null;
+    } else if (dateRange !== 'all') {
+      cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - dateRange);
+    }
+
+    let pageNum = checkpoint ? checkpoint.pageNum : 1;
+    let reachedCutoff = false;
+
+    // List page being read: the visible tab, or a page fetched in the background
+    let listDoc = document;
+    let listUrl = checkpoint ? checkpoint.listUrl : window.location.href;
+    let pagination = checkpoint ? checkpoint.pagination : (paginationMode === 'click' ? 'click' : 'fetch');
+    const listedOrderIds = new Set(checkpoint?.listedOrderIds || []);
+    // Set when reading pages again whose orders were already listed (clicking through pages
+    // that were fetched, or resuming); those orders are skipped
+    let skipListedOrders = !!checkpoint;
+
+    try {
+      // Resume on the last saved page: fetch it again, or click through to it from the first page
+      if (checkpoint && pagination === 'fetch' && listUrl !== window.location.href) {
+        try {
+          listDoc = await this.fetchListPage(listUrl);
+        } catch (error) {
+          console.log('[Walmart Order Exporter] Could not fetch saved list page, clicking through pages instead:', error.message);
+          pagination = 'click';
+        }
+      }
+      if (pagination === 'click' && listDoc === document) {
+        pageNum = 1;
+        listUrl = window.location.href;
+      }
+
+      while (this.isExporting && !reachedCutoff) {
+        this.sendProgress({
+          label: `Processing page ${pageNum}...`,
+          detail: 'Extracting order data from page...'
+        });
+
+        // Extract order data directly from the list page (more reliable than fetching each order)
+        let pageOrders = this.extractOrderDataFromListPage(listDoc);
+
+        // Fallback: If list extraction found nothing, try fetching individual order pages
+        if (pageOrders.length === 0) {
+          console.log('[Walmart Order Exporter] List extraction found 0 orders, trying individual fetch fallback');
+          this.sendProgress({
+            detail: 'Trying fallback method - fetching individual orders...'
+          });
+
+          const orderIds = this.getOrderIdsFromPage(listDoc)
+            .filter(orderInfo => !skipListedOrders || !listedOrderIds.has(orderInfo.orderId));
+          console.log('[Walmart Order Exporter] Found', orderIds.length, 'order IDs for fallback fetch');
+
+          // The scheduler limits how many of these run at once
+          let fetchedCount = 0;
+          const fetched = await Promise.all(orderIds.map(async orderInfo => {
+            try {
+              const details = await this.fetchOrderDetails(orderInfo);
+              this.sendProgress({
+                detail: `Fetched ${++fetchedCount} of ${orderIds.length} orders...`
+              });
+              return details;
+            } catch (err) {
+              console.error('[Walmart Order Exporter] Failed to fetch order:', orderInfo.orderId, err);
+              return null;
+            }
+          }));
+
+          fetched.forEach((details, i) => {
+            if (!details || !details.orderId) return;
+
+            pageOrders.push(details);
+            if (details.error && this.isExporting) {
+              this.recordFetchFailure(details, 'orderDetails', orderIds[i].url);
+            } else {
+              console.log('[Walmart Order Exporter] Fetched order details:', details.orderId);
+            }
+          });
+        }
+
+        if (skipListedOrders) {
+          pageOrders = pageOrders.filter(order => !listedOrderIds.has(order.orderId));
+        }
+        for (const order of pageOrders) {
+          listedOrderIds.add(order.orderId);
+        }
 
-    // Extract items from various possible structures
-    const lineItems = data.lineItems || data.items || data.orderLines || data.products || data.orderItems || [];
-    console.log('[Walmart Order Exporter] Found', lineItems.length, 'line items');
+        if (pageOrders.length === 0) {
+          this.sendProgress({
+            detail: 'No orders found on this page'
+          });
+        }
 
-    for (const item of lineItems) {
-      // Handle nested item structures
-      const itemData = item.item || item.product || item;
-      const name = itemData.name || itemData.productName || itemData.description || itemData.title || '';
-      const price = itemData.price || itemData.unitPrice || itemData.salePrice || itemData.linePrice || itemData.itemPrice || '';
-      const quantity = itemData.quantity || itemData.qty || item.quantity || 1;
+        // Fetch order pages for item prices up front so the scheduler can run them in parallel
+        const fetchPages = fetchItemPrices && includeItems;
+        const orderPages = fetchPages ? await this.fetchOrderPages(pageOrders) : [];
 
-      if (name) {
-        let priceStr = '';
-        let priceVal = 0;
-
-        if (typeof price === 'number') {
-          priceStr = `$${price.toFixed(2)}`;
-          priceVal = price;
-        } else if (typeof price === 'string') {
-          priceStr = price.startsWith('$') ? price : `$${price}`;
-          priceVal = parseFloat(String(price).replace(/[$,]/g, '')) || 0;
-        } else if (price && typeof price === 'object') {
-          // Handle price objects like {amount: 10.99, currency: 'USD'}
-          priceVal = price.amount || price.value || price.price || 0;
-          priceStr = `$${priceVal.toFixed(2)}`;
+        // Process each order
+        for (let i = 0; i < pageOrders.length; i++) {
+          if (!this.isExporting) break;
+
+          const listedOrder = pageOrders[i];
+          const isStore = listedOrder.orderType === 'store';
+          const displayId = isStore ? `${listedOrder.orderId} (store)` : listedOrder.orderId;
+
+          this.sendProgress({
+            percent: ((this.processedOrders + i) / Math.max(pageOrders.length * pageNum, 1)) * 100,
+            detail: `Processing order ${displayId}...`
+          });
+
+          console.log('[Walmart Order Exporter] Order', displayId, 'type:', listedOrder.orderType, 'date:', listedOrder.orderDate, 'items:', listedOrder.items?.length || 0);
+
+          // Orders fetched by the fallback above are already merged; list page orders are one more source
+          const context = listedOrder.provenance
+            ? { orderId: listedOrder.orderId, isStore, previous: listedOrder }
+            : { orderId: listedOrder.orderId, isStore, listOrder: listedOrder };
+
+          // Detailed item prices, when requested and the page could be fetched
+          if (orderPages[i]) {
+            Object.assign(context, orderPages[i]);
+          }
+
+          // Orders that could not be fetched are kept as they are
+          const orderDetails = listedOrder.error ? listedOrder : this.runExtractors(context);
+
+          if (fetchPages && this.needsOrderPage(listedOrder) && !orderPages[i] && this.isExporting) {
+            const outcome = this.scheduler.getOutcome(this.getOrderPageUrl(listedOrder.orderId, isStore));
+            orderDetails.error = `Order page could not be fetched${outcome?.error ? ` (${outcome.error})` : ''}`;
+            this.recordFetchFailure(orderDetails, 'orderPage');
+          }
+
+          // Check date cutoff - but don't stop yet, check all orders on this page
+          let includeOrder = true;
+          if (cutoffDate && orderDetails.orderDate !== 'Unknown') {
+            const orderDate = new Date(orderDetails.orderDate);
+            console.log('[Walmart Order Exporter] Date check - Order:', orderDate.toDateString(), 'Cutoff:', cutoffDate.toDateString(), 'Include:', orderDate >= cutoffDate);
+            if (orderDate < cutoffDate) {
+              includeOrder = false;
+              reachedCutoff = true; // Mark that we've seen old orders, stop pagination after this page
+            }
+          }
+
+          // Check order type filter
+          if (includeOrder && orderTypeFilter !== 'all') {
+            if (orderTypeFilter === 'online' && orderDetails.orderType === 'store') {
+              includeOrder = false;
+              console.log('[Walmart Order Exporter] Skipped order (store order, filter is online only)');
+            } else if (orderTypeFilter === 'store' && orderDetails.orderType !== 'store') {
+              includeOrder = false;
+              console.log('[Walmart Order Exporter] Skipped order (online order, filter is store only)');
+            }
+          }
+
+          if (includeOrder && excludeCancelled && this.isOrderCancelled(orderDetails)) {
+            includeOrder = false;
+            console.log('[Walmart Order Exporter] Skipped order (cancelled)');
+          }
+
+          if (includeOrder && !this.matchesPurchaseKind(orderDetails, purchaseKindFilter)) {
+            includeOrder = false;
+            console.log('[Walmart Order Exporter] Skipped order (purchase kind:', this.getPurchaseKind(orderDetails) + ')');
+          }
+
+          if (includeOrder) {
+            this.orders.push(orderDetails);
+            console.log('[Walmart Order Exporter] Added order to export list');
+          } else if (!reachedCutoff) {
+            console.log('[Walmart Order Exporter] Skipped order (filtered out)');
+          } else {
+            console.log('[Walmart Order Exporter] Skipped order (outside date range)');
+          }
+          this.processedOrders++;
         }
 
-        items.push({
-          name,
-          quantity,
-          price: priceStr,
-          priceValue: priceVal
+        // Only pages read to the end are saved, so a stopped page is read again on resume
+        if (this.isExporting) {
+          await this.saveCheckpoint({
+            options,
+            cutoffDate: cutoffDate ? cutoffDate.toISOString() : null,
+            pageNum,
+            listUrl,
+            pagination,
+            listedOrderIds: Array.from(listedOrderIds)
+          });
+        }
+
+        if (!allPages || reachedCutoff || !this.isExporting) break;
+
+        // Fetch the next list page in the background
+        if (pagination === 'fetch') {
+          this.sendProgress({
+            detail: 'Fetching next page...'
+          });
+
+          try {
+            const nextPage = await this.fetchNextListPage(listDoc, listUrl, pageNum + 1, listedOrderIds);
+            if (!nextPage) break;
+
+            listDoc = nextPage.doc;
+            listUrl = nextPage.url;
+            pageNum++;
+            continue;
+          } catch (error) {
+            if (!this.isExporting) break;
+            console.log('[Walmart Order Exporter] Fetching list pages failed, clicking through pages instead:', error.message);
+            pagination = 'click';
+            // The tab still shows the first page; skip the orders already read on the way back
+            skipListedOrders = skipListedOrders || listDoc !== document;
+            listDoc = document;
+          }
+        }
+
+        // Fallback: click "Next page" in the visible tab
+        if (!this.hasNextPage()) break;
+
+        this.sendProgress({
+          detail: 'Moving to next page...'
         });
-        console.log('[Walmart Order Exporter] Added item:', name.substring(0, 40));
+
+        const navigated = await this.goToNextPage();
+        if (!navigated) break;
+
+        listDoc = document;
+        pageNum++;
+        // Small delay to let the page load
+        await this.delay(1000);
+      }
+
+      // A stopped export keeps its checkpoint so it can be resumed later
+      const completed = this.isExporting;
+
+      if (completed) {
+        await this.retryFailedFetches();
       }
+
+      return await this.finishExport(options, { completed, resumed: !!checkpoint });
+
+    } catch (error) {
+      console.error('[Walmart Order Exporter] Export error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      this.isExporting = false;
     }
+  }
 
-    // Extract date from various possible fields
-    let orderDate = 'Unknown';
-    const dateFields = ['orderDate', 'placedDate', 'date', 'createdDate', 'purchaseDate', 'orderPlacedDate', 'submittedDate'];
-    for (const field of dateFields) {
-      if (data[field]) {
-        orderDate = this.formatDate(data[field]);
-        console.log('[Walmart Order Exporter] Found date in field:', field, '=', orderDate);
-        break;
+  /**
+   * Validate the collected orders, generate the export file and summarize the run
+   * A completed export's checkpoint is removed and its options are kept so its
+   * failed orders can be retried later (retryFailedOrders).
+   * @param {Object} options - Export options
+   * @param {Object} run - {completed, resumed}
+   */
+  async finishExport(options, { completed, resumed }) {
+    const {
+      includeItems = true,
+      format = 'csv',
+      accountMap = {},
+      columnLayout = null,
+      csvOptions = {}
+    } = options;
+
+    this.sendProgress({
+      label: 'Validating orders...',
+      detail: `Checking ${this.orders.length} orders`
+    });
+
+    const validation = this.validateOrders();
+    console.log('[Walmart Order Exporter] Validation:', validation.ok, 'ok,', validation.warning, 'warnings,', validation.error, 'errors');
+
+    const exportFormat = EXPORT_FORMATS[format] ? format : 'csv';
+
+    this.sendProgress({
+      percent: 100,
+      label: `Generating ${EXPORT_FORMATS[exportFormat].label}...`,
+      detail: `Processed ${this.orders.length} orders`
+    });
+
+    // Generate output in the requested format
+    const content = this.generateExport(exportFormat, { includeItems, accountMap, columnLayout, csvOptions });
+
+    const itemCount = this.orders.reduce((sum, order) => sum + (order.items?.length || 0), 0);
+
+    if (completed) {
+      await this.clearCheckpoint();
+    }
+    this.lastExportOptions = completed ? options : null;
+
+    const requestStats = this.scheduler.getStats();
+    const failedOrders = Array.from(this.failedFetches.values()).map(({ orderId, error }) => ({ orderId, error }));
+
+    console.log('[Walmart Order Exporter] Export complete:', this.orders.length, 'orders,', itemCount, 'items');
+    console.log('[Walmart Order Exporter] Requests:', requestStats.requests, 'made,', requestStats.retried, 'retried,', requestStats.failed, 'failed;', failedOrders.length, 'orders could not be fetched');
+    console.log('[Walmart Order Exporter]', EXPORT_FORMATS[exportFormat].label, 'length:', content.length);
+
+    return {
+      success: true,
+      content,
+      format: exportFormat,
+      orderCount: this.orders.length,
+      itemCount,
+      validation,
+      failedOrders,
+      requestStats,
+      resumed,
+      stopped: !completed
+    };
+  }
+
+  /**
+   * Fetch the orders that failed in the last completed export once more and
+   * generate its file again
+   * Resolves with the same summary as exportOrders.
+   */
+  async retryFailedOrders() {
+    if (this.isExporting) {
+      return { success: false, error: 'An export is already running' };
+    }
+    if (!this.lastExportOptions || this.failedFetches.size === 0) {
+      return { success: false, error: 'There are no failed orders to retry' };
+    }
+
+    console.log('[Walmart Order Exporter] Retrying', this.failedFetches.size, 'failed orders');
+    this.isExporting = true;
+    this.scheduler.reset(this.lastExportOptions.requestOptions || {});
+
+    try {
+      await this.retryFailedFetches();
+      return await this.finishExport(this.lastExportOptions, { completed: true, resumed: false });
+    } catch (error) {
+      console.error('[Walmart Order Exporter] Retry error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  /**
+   * Format store location for CSV output
+   */
+  formatStoreLocation(storeLocation) {
+    if (!storeLocation) return '';
+    const parts = [];
+    if (storeLocation.name) parts.push(storeLocation.name);
+    if (storeLocation.address) parts.push(storeLocation.address);
+    return parts.join(' - ');
+  }
+
+  /**
+   * Catalog of every column the CSV export can emit
+   * scope 'order' columns repeat on each item row; scope 'item' columns are only
+   * available in the detailed (item-level) layout. value(order, item) receives
+   * item === null for orders without parsed items. type controls output
+   * formatting (see formatCSVValue): 'money' and 'amount' values are money
+   * objects, 'date' values are order date strings, 'number' values are numbers.
+   */
+  getCSVColumns() {
+    // Numeric amount columns sit alongside the display columns for each money field
+    const moneyColumns = [
+      ['subtotal', 'Subtotal'],
+      ['tax', 'Tax'],
+      ['total', 'Order Total'],
+      ['associateDiscount', 'Associate Discount'],
+      ['driverTip', 'Driver Tip'],
+      ['deliveryFee', 'Delivery Fee'],
+      ['expressFee', 'Express Fee']
+    ].flatMap(([field, header]) => [
+      { key: field, header, scope: 'order', type: 'money', value: order => order[field] },
+      { key: `${field}Amount`, header: `${header} Amount`, scope: 'order', type: 'amount', value: order => order[field] }
+    ]);
+
+    // Orders are rarely split across more than three tenders
+    const paymentColumns = [1, 2, 3].flatMap(n => [
+      { key: `payment${n}Type`, header: `Payment ${n} Type`, scope: 'order', value: order => order.payments?.[n - 1]?.type || '' },
+      { key: `payment${n}Last4`, header: `Payment ${n} Last 4`, scope: 'order', value: order => order.payments?.[n - 1]?.last4 || '' },
+      { key: `payment${n}Amount`, header: `Payment ${n} Amount`, scope: 'order', type: 'money', value: order => order.payments?.[n - 1]?.amount }
+    ]);
+
+    return [
+      { key: 'orderNumber', header: 'Order Number', scope: 'order', value: order => order.orderNumber || order.orderId },
+      { key: 'orderId', header: 'Order ID', scope: 'order', value: order => order.orderId },
+      { key: 'orderDate', header: 'Order Date', scope: 'order', type: 'date', value: order => order.orderDate },
+      { key: 'status', header: 'Status', scope: 'order', value: order => order.status },
+      { key: 'orderType', header: 'Order Type', scope: 'order', value: order => order.orderType === 'store' ? 'Store' : 'Online' },
+      { key: 'purchaseKind', header: 'Purchase Kind', scope: 'order', value: order => this.getPurchaseKind(order) },
+      { key: 'itemName', header: 'Item Name', scope: 'item', value: (order, item) => item ? item.name : 'No items found' },
+      { key: 'itemPrice', header: 'Item Price', scope: 'item', type: 'money', value: (order, item) => item?.price },
+      { key: 'itemPriceValue', header: 'Item Price Amount', scope: 'item', type: 'amount', value: (order, item) => item?.price },
+      { key: 'measuredQuantity', header: 'Measured Quantity', scope: 'item', type: 'number', value: (order, item) => item?.measuredQuantity ?? '' },
+      { key: 'unitOfMeasure', header: 'Unit', scope: 'item', value: (order, item) => item?.unitOfMeasure || '' },
+      { key: 'unitPrice', header: 'Unit Price', scope: 'item', type: 'money', value: (order, item) => item?.unitPrice },
+      { key: 'itemListPrice', header: 'Item List Price', scope: 'item', type: 'money', value: (order, item) => item?.listPrice },
+      { key: 'itemSavings', header: 'Item Savings', scope: 'item', type: 'money', value: (order, item) => this.getItemSavings(item) },
+      { key: 'priceFlags', header: 'Price Flags', scope: 'item', value: (order, item) => this.formatPriceFlags(item) },
+      { key: 'itemPromotions', header: 'Item Promotions', scope: 'item', value: (order, item) => this.formatDiscounts(item?.promotions) },
+      { key: 'quantity', header: 'Quantity', scope: 'item', type: 'number', value: (order, item) => item ? item.quantity : '' },
+      { key: 'itemOutcome', header: 'Item Outcome', scope: 'item', value: (order, item) => item?.fulfillmentStatus || '' },
+      { key: 'requestedItem', header: 'Requested Item', scope: 'item', value: (order, item) => item?.substitution?.requestedName || '' },
+      { key: 'requestedPrice', header: 'Requested Price', scope: 'item', type: 'money', value: (order, item) => item?.substitution?.requestedPrice },
+      { key: 'returnStatus', header: 'Return Status', scope: 'item', value: (order, item) => item?.returnStatus || '' },
+      { key: 'itemRefund', header: 'Item Refund', scope: 'item', type: 'money', value: (order, item) => item?.refund?.amount },
+      { key: 'refundDate', header: 'Refund Date', scope: 'item', value: (order, item) => item?.refund?.date || '' },
+      { key: 'refundReason', header: 'Refund Reason', scope: 'item', value: (order, item) => item?.refund?.reason || '' },
+      { key: 'shipmentStatus', header: 'Shipment Status', scope: 'item', value: (order, item) => this.findItemShipment(order, item)?.status || '' },
+      { key: 'carrier', header: 'Carrier', scope: 'item', value: (order, item) => this.findItemShipment(order, item)?.carrier || '' },
+      { key: 'trackingNumber', header: 'Tracking Number', scope: 'item', value: (order, item) => this.findItemShipment(order, item)?.trackingNumber || '' },
+      { key: 'seller', header: 'Seller', scope: 'item', value: (order, item) => item?.seller || this.findItemShipment(order, item)?.seller || '' },
+      { key: 'soldBy', header: 'Sold By', scope: 'item', value: (order, item) => (item ? (this.isMarketplaceItem(order, item) ? 'Marketplace' : 'Walmart') : '') },
+      { key: 'fulfilledBy', header: 'Fulfilled By', scope: 'item', value: (order, item) => this.formatFulfilledBy(item) },
+      { key: 'itemId', header: 'Item ID', scope: 'item', value: (order, item) => item?.itemId || '' },
+      { key: 'usItemId', header: 'US Item ID', scope: 'item', value: (order, item) => item?.usItemId || '' },
+      { key: 'upc', header: 'UPC', scope: 'item', value: (order, item) => item?.upc || '' },
+      { key: 'itemCode', header: 'Item Code', scope: 'item', value: (order, item) => item?.itemCode || '' },
+      { key: 'taxCode', header: 'Tax Code', scope: 'item', value: (order, item) => item?.taxCode || '' },
+      { key: 'itemTaxable', header: 'Taxable', scope: 'item', value: (order, item) => this.formatTaxable(item) },
+      { key: 'itemTax', header: 'Item Tax', scope: 'item', type: 'money', value: (order, item) => item && this.getItemTaxDetails(order, item).tax },
+      { key: 'itemTaxAllocated', header: 'Item Tax Allocated', scope: 'item', value: (order, item) => (item && this.getItemTaxDetails(order, item).taxAllocated ? 'Yes' : '') },
+      { key: 'itemTotal', header: 'Item Total incl. Tax', scope: 'item', type: 'money', value: (order, item) => item && this.getItemTaxDetails(order, item).total },
+      { key: 'itemTotalAmount', header: 'Item Total incl. Tax Amount', scope: 'item', type: 'amount', value: (order, item) => item && this.getItemTaxDetails(order, item).total },
+      { key: 'brand', header: 'Brand', scope: 'item', value: (order, item) => item?.brand || '' },
+      { key: 'productUrl', header: 'Product URL', scope: 'item', value: (order, item) => item?.productUrl || '' },
+      { key: 'imageUrl', header: 'Image URL', scope: 'item', value: (order, item) => item?.imageUrl || '' },
+      { key: 'itemCount', header: 'Item Count', scope: 'order', type: 'number', value: order => order.items?.length || 0 },
+      ...moneyColumns,
+      { key: 'refundTotal', header: 'Refund Total', scope: 'order', type: 'money', value: order => this.getRefundTotal(order) },
+      { key: 'refundTotalAmount', header: 'Refund Total Amount', scope: 'order', type: 'amount', value: order => this.getRefundTotal(order) },
+      { key: 'netTotal', header: 'Net Total', scope: 'order', type: 'money', value: order => this.getNetTotal(order) },
+      { key: 'netTotalAmount', header: 'Net Total Amount', scope: 'order', type: 'amount', value: order => this.getNetTotal(order) },
+      { key: 'cancelled', header: 'Cancelled', scope: 'order', value: order => (this.isOrderCancelled(order) ? 'Yes' : '') },
+      { key: 'orderDiscounts', header: 'Order Discounts', scope: 'order', value: order => this.formatDiscounts(order.discounts) },
+      { key: 'totalSavings', header: 'Total Savings', scope: 'order', type: 'money', value: order => this.getOrderSavings(order) },
+      { key: 'totalSavingsAmount', header: 'Total Savings Amount', scope: 'order', type: 'amount', value: order => this.getOrderSavings(order) },
+      { key: 'fulfillmentType', header: 'Fulfillment', scope: 'order', value: order => this.getFulfillmentType(order) },
+      { key: 'pickupStore', header: 'Pickup Store', scope: 'order', value: order => this.formatStoreLocation(order.fulfillment?.pickupStore) },
+      { key: 'deliveryAddress', header: 'Delivery Address', scope: 'order', value: order => order.fulfillment?.deliveryAddress || '' },
+      { key: 'scheduledWindow', header: 'Scheduled Window', scope: 'order', value: order => this.formatScheduledWindow(order.fulfillment) },
+      { key: 'deliveredAt', header: 'Delivered At', scope: 'order', value: order => order.fulfillment?.deliveredAt || '' },
+      { key: 'paymentMethods', header: 'Payment Methods', scope: 'order', value: order => this.formatPayments(order.payments) },
+      { key: 'paymentCount', header: 'Payment Count', scope: 'order', type: 'number', value: order => order.payments?.length || 0 },
+      ...paymentColumns,
+      { key: 'currency', header: 'Currency', scope: 'order', value: order => order.total?.currency || 'USD' },
+      { key: 'storeLocation', header: 'Store Location', scope: 'order', value: order => this.formatStoreLocation(order.storeLocation) },
+      { key: 'storeName', header: 'Store Name', scope: 'order', value: order => order.storeLocation?.name || '' },
+      { key: 'storeAddress', header: 'Store Address', scope: 'order', value: order => order.storeLocation?.address || '' },
+      { key: 'storeNumber', header: 'Store Number', scope: 'order', value: order => order.storeLocation?.storeNumber || '' },
+      { key: 'storeCity', header: 'Store City', scope: 'order', value: order => order.storeLocation?.city || '' },
+      { key: 'storeState', header: 'Store State', scope: 'order', value: order => order.storeLocation?.state || '' },
+      { key: 'storeZip', header: 'Store ZIP', scope: 'order', value: order => order.storeLocation?.zip || '' },
+      { key: 'storePhone', header: 'Store Phone', scope: 'order', value: order => order.storeLocation?.phone || '' },
+      { key: 'register', header: 'Register', scope: 'order', value: order => order.storeReceipt?.register || '' },
+      { key: 'operator', header: 'Operator', scope: 'order', value: order => order.storeReceipt?.operator || '' },
+      { key: 'transactionTime', header: 'Transaction Time', scope: 'order', value: order => order.storeReceipt?.transactionTime || '' },
+      { key: 'changeDue', header: 'Change Due', scope: 'order', type: 'money', value: order => order.storeReceipt?.changeDue },
+      { key: 'provenance', header: 'Provenance', scope: 'order', value: order => this.formatProvenance(order.provenance) },
+      { key: 'validationStatus', header: 'Validation Status', scope: 'order', value: order => order.validation?.status || '' },
+      { key: 'validationIssues', header: 'Validation Issues', scope: 'order', value: order => this.formatValidationIssues(order.validation) }
+    ];
+  }
+
+  /**
+   * Resolve a saved column layout into catalog columns with their headers
+   * @param {Object} columnLayout - {detailed: [{key, header}], summary: [{key, header}]}
+   * @param {string} mode - 'detailed' or 'summary'
+   * Unknown keys, and item columns in summary mode, are dropped; an empty
+   * result falls back to DEFAULT_CSV_LAYOUT.
+   */
+  resolveCSVLayout(columnLayout, mode) {
+    const catalog = new Map(this.getCSVColumns().map(column => [column.key, column]));
+    const isAllowed = column => column && (mode === 'detailed' || column.scope !== 'item');
+
+    const saved = Array.isArray(columnLayout?.[mode]) ? columnLayout[mode] : [];
+    const resolved = saved
+      .filter(entry => isAllowed(catalog.get(entry?.key)))
+      .map(entry => ({
+        ...catalog.get(entry.key),
+        header: typeof entry.header === 'string' && entry.header.trim() ? entry.header.trim() : catalog.get(entry.key).header
+      }));
+
+    if (resolved.length > 0) return resolved;
+
+    return DEFAULT_CSV_LAYOUT[mode].map(key => catalog.get(key));
+  }
+
+  /**
+   * Format a raw column value for delimited output according to its column type
+   * @param {string} type - Column type from getCSVColumns
+   * @param {*} value - Raw value returned by the column
+   * @param {Object} csvOptions - Resolved delimited output options (see DEFAULT_CSV_OPTIONS)
+   */
+  formatCSVValue(type, value, csvOptions) {
+    const { decimalSeparator, dateFormat } = csvOptions;
+
+    switch (type) {
+      case 'money': {
+        const display = this.formatMoney(value);
+        // Swap grouping and decimal marks, e.g. "$1,234.50" -> "$1.234,50"
+        return decimalSeparator === ','
+          ? display.replace(/[.,]/g, mark => (mark === '.' ? ',' : '.'))
+          : display;
+      }
+      case 'amount': {
+        const amount = this.moneyValue(value);
+        return amount === null ? '' : amount.toFixed(2).replace('.', decimalSeparator);
+      }
+      case 'number':
+        return typeof value === 'number' ? String(value).replace('.', decimalSeparator) : value;
+      case 'date':
+        return this.formatOutputDate(value, dateFormat);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Format an order date for output
+   * @param {string} value - Date as extracted, e.g. "Jan 22, 2026" or "Unknown"
+   * @param {string} dateFormat - 'original', 'iso' (2026-01-22), 'us' (01/22/2026) or 'locale'
+   * Dates that cannot be parsed are returned unchanged.
+   */
+  formatOutputDate(value, dateFormat = 'original') {
+    if (!value || dateFormat === 'original' || value === 'Unknown') return value;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return value;
+
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+
+    switch (dateFormat) {
+      case 'iso':
+        return `${year}-${month}-${day}`;
+      case 'us':
+        return `${month}/${day}/${year}`;
+      case 'locale':
+        return date.toLocaleDateString();
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Merge user CSV options with DEFAULT_CSV_OPTIONS, ignoring unsupported values
+   */
+  resolveCSVOptions(csvOptions = {}) {
+    const resolved = { ...DEFAULT_CSV_OPTIONS };
+
+    if ([',', ';', '\t'].includes(csvOptions.delimiter)) resolved.delimiter = csvOptions.delimiter;
+    if (['.', ','].includes(csvOptions.decimalSeparator)) resolved.decimalSeparator = csvOptions.decimalSeparator;
+    if (['original', 'iso', 'us', 'locale'].includes(csvOptions.dateFormat)) resolved.dateFormat = csvOptions.dateFormat;
+    if (typeof csvOptions.bom === 'boolean') resolved.bom = csvOptions.bom;
+    if (typeof csvOptions.crlf === 'boolean') resolved.crlf = csvOptions.crlf;
+
+    return resolved;
+  }
+
+  /**
+   * Generate CSV from collected orders
+   * @param {boolean} includeItems - One row per item (detailed) or per order (summary)
+   * @param {Object} columnLayout - Saved column layout, see resolveCSVLayout
+   * @param {Object} csvOptions - Delimiter, BOM, line ending, decimal and date options
+   */
+  generateCSV(includeItems = true, columnLayout = null, csvOptions = {}) {
+    const options = this.resolveCSVOptions(csvOptions);
+    const { delimiter } = options;
+    const columns = this.resolveCSVLayout(columnLayout, includeItems ? 'detailed' : 'summary');
+    const rows = [columns.map(column => this.escapeCSV(column.header, delimiter)).join(delimiter)];
+
+    const buildRow = (order, item) => columns
+      .map(column => this.escapeCSV(this.formatCSVValue(column.type, column.value(order, item), options), delimiter))
+      .join(delimiter);
+
+    for (const order of this.orders) {
+      if (includeItems && order.items && order.items.length > 0) {
+        for (const item of order.items) {
+          rows.push(buildRow(order, item));
+        }
+      } else {
+        // Summary row, or detailed row for an order with no items parsed
+        rows.push(buildRow(order, null));
+      }
+    }
+
+    // A BOM lets Excel detect UTF-8 so accents and symbols like ™ survive
+    const bom = options.bom ? '\uFEFF' : '';
+    return bom + rows.join(options.crlf ? '\r\n' : '\n');
+  }
+
+  /**
+   * Columns of the shipment-level view, shared by the shipments CSV and the
+   * Shipments sheet of the Excel workbook; value() receives {order, shipment, index, count}
+   */
+  getShipmentColumns() {
+    const shipmentTotal = shipment => {
+      const priced = shipment.items.filter(item => item.price);
+      if (priced.length === 0) return null;
+      return { cents: priced.reduce((sum, item) => sum + item.price.cents, 0), currency: priced[0].price.currency };
+    };
+
+    return [
+      { header: 'Order Number', type: 'string', width: 22, value: r => r.order.orderNumber || r.order.orderId },
+      { header: 'Order Date', type: 'date', width: 14, value: r => r.order.orderDate },
+      { header: 'Shipment', type: 'string', width: 10, value: r => `${r.index + 1} of ${r.count}` },
+      { header: 'Shipment ID', type: 'string', width: 16, value: r => r.shipment.id },
+      { header: 'Status', type: 'string', width: 18, value: r => r.shipment.status },
+      { header: 'Delivered Date', type: 'string', width: 20, value: r => r.shipment.deliveredDate },
+      { header: 'Fulfillment', type: 'string', width: 11, value: r => r.shipment.fulfillmentType },
+      { header: 'Carrier', type: 'string', width: 12, value: r => r.shipment.carrier },
+      { header: 'Tracking Number', type: 'string', width: 24, value: r => r.shipment.trackingNumber },
+      { header: 'Tracking URL', type: 'string', width: 40, value: r => r.shipment.trackingUrl },
+      { header: 'Seller', type: 'string', width: 18, value: r => r.shipment.seller },
+      { header: 'Item Count', type: 'number', width: 11, value: r => r.shipment.items.length },
+      { header: 'Items Total', type: 'money', width: 12, value: r => shipmentTotal(r.shipment) },
+      { header: 'Items', type: 'string', width: 60, value: r => r.shipment.items.map(item => item.name).join('; ') }
+    ];
+  }
+
+  /**
+   * One {order, shipment, index, count} row per shipment of every order
+   */
+  getShipmentRows() {
+    return this.orders.flatMap(order => {
+      const shipments = this.getShipments(order);
+      return shipments.map((shipment, index) => ({ order, shipment, index, count: shipments.length }));
+    });
+  }
+
+  /**
+   * Generate the shipment-level CSV view (one row per shipment)
+   */
+  generateShipmentsCSV(csvOptions = {}) {
+    return this.generateRowsCSV(this.getShipmentColumns(), this.getShipmentRows(), csvOptions);
+  }
+
+  /**
+   * Columns of the substitution report, shared by the substitution CSV and the
+   * Substitutions sheet of the Excel workbook; value() receives {order, item, timesAffected}
+   */
+  getSubstitutionColumns() {
+    const difference = item => {
+      const requested = item.substitution?.requestedPrice;
+      if (!requested || !item.price) return null;
+      return { cents: item.price.cents - requested.cents, currency: item.price.currency };
+    };
+
+    return [
+      { header: 'Order Number', type: 'string', width: 22, value: r => r.order.orderNumber || r.order.orderId },
+      { header: 'Order Date', type: 'date', width: 14, value: r => r.order.orderDate },
+      { header: 'Fulfillment', type: 'string', width: 11, value: r => this.getFulfillmentType(r.order) },
+      { header: 'Outcome', type: 'string', width: 12, value: r => r.item.fulfillmentStatus },
+      { header: 'Requested Item', type: 'string', width: 50, value: r => r.item.substitution?.requestedName || r.item.name },
+      { header: 'Requested Price', type: 'money', width: 12, value: r => (r.item.substitution ? r.item.substitution.requestedPrice : r.item.price) },
+      { header: 'Substitute', type: 'string', width: 50, value: r => (r.item.substitution ? r.item.name : '') },
+      { header: 'Substitute Price', type: 'money', width: 12, value: r => (r.item.substitution ? r.item.price : null) },
+      { header: 'Price Difference', type: 'money', width: 12, value: r => difference(r.item) },
+      { header: 'Times Affected', type: 'number', width: 10, value: r => r.timesAffected }
+    ];
+  }
+
+  /**
+   * One row per substituted, unavailable or rejected item, most often affected products first
+   */
+  getSubstitutionRows() {
+    const rows = [];
+    for (const order of this.orders) {
+      for (const item of order.items || []) {
+        if (item.fulfillmentStatus) rows.push({ order, item });
       }
     }
 
-    // Extract status
-    let status = data.status || data.orderStatus || data.fulfillmentStatus || 'Unknown';
-    if (typeof status === 'object') {
-      status = status.label || status.name || status.value || 'Unknown';
+    // Count by requested product so repeat offenders sort to the top
+    const requestedKey = row => (row.item.substitution?.requestedName || row.item.name).toLowerCase();
+    const counts = new Map();
+    for (const row of rows) {
+      counts.set(requestedKey(row), (counts.get(requestedKey(row)) || 0) + 1);
+    }
+
+    return rows
+      .map(row => ({ ...row, timesAffected: counts.get(requestedKey(row)) }))
+      .sort((a, b) => b.timesAffected - a.timesAffected || requestedKey(a).localeCompare(requestedKey(b)));
+  }
+
+  /**
+   * Generate the substitution report (one row per substituted, unavailable or rejected item)
+   */
+  generateSubstitutionReport(csvOptions = {}) {
+    return this.generateRowsCSV(this.getSubstitutionColumns(), this.getSubstitutionRows(), csvOptions);
+  }
+
+  /**
+   * Write rows through a list of {header, type, value(row)} columns as delimited text
+   */
+  generateRowsCSV(columns, rowData, csvOptions = {}) {
+    const options = this.resolveCSVOptions(csvOptions);
+    const { delimiter } = options;
+    const rows = [columns.map(column => this.escapeCSV(column.header, delimiter)).join(delimiter)];
+
+    for (const row of rowData) {
+      rows.push(columns
+        .map(column => this.escapeCSV(this.formatCSVValue(column.type, column.value(row), options), delimiter))
+        .join(delimiter));
+    }
+
+    const bom = options.bom ? '\uFEFF' : '';
+    return bom + rows.join(options.crlf ? '\r\n' : '\n');
+  }
+
+  /**
+   * Generate export content for the given format key (see EXPORT_FORMATS)
+   */
+  generateExport(format, options = {}) {
+    const { includeItems = true, accountMap = {}, columnLayout = null, csvOptions = {} } = options;
+
+    // Orders may have changed since the last export
+    this.taxAllocations = new WeakMap();
+
+    switch (format) {
+      case 'json':
+        return this.generateJSON(includeItems);
+      case 'xlsx':
+        return this.generateXLSX();
+      case 'ofx':
+        return this.generateOFX();
+      case 'qif':
+        return this.generateQIF();
+      case 'ledger':
+      case 'hledger':
+      case 'beancount':
+        return this.generateJournal(format, accountMap);
+      case 'sql':
+        return this.generateSQL();
+      case 'html':
+        return this.generateReceiptReport();
+      case 'shipments':
+        return this.generateShipmentsCSV(csvOptions);
+      case 'substitutions':
+        return this.generateSubstitutionReport(csvOptions);
+      case 'csv':
+      default:
+        return this.generateCSV(includeItems, columnLayout, csvOptions);
+    }
+  }
+
+  /**
+   * Generate JSON export from collected orders
+   *
+   * Schema "walmart-order-export", version JSON_SCHEMA_VERSION:
+   *   {
+   *     schema: 'walmart-order-export',
+   *     schemaVersion: 1,
+   *     exportedAt: ISO 8601 timestamp,
+   *     orderCount: number,
+   *     orders: [{
+   *       orderId, orderNumber, orderType ('online' | 'store'), orderDate, status,
+   *       purchaseKind ('walmart' | 'marketplace' | 'mixed' | 'membership'),
+   *       storeLocation: { name, address, storeNumber, city, state, zip, phone },
+   *       storeReceipt: { register, operator, transactionNumber, transactionTime, itemsSold,
+   *         taxLines: [{ code, rate, amount }], changeDue } (null for online orders),
+   *       amounts: { subtotal, tax, total, refundTotal, netTotal },
+   *       cancelled: boolean,
+   *       refunds: [{ amount, date, reason }],
+   *       fees: { deliveryFee, expressFee, driverTip },
+   *       discounts: { associateDiscount, entries: [{ label, type, amount }] },
+   *       totalSavings,
+   *       fulfillment: { type, pickupStore, deliveryAddress, scheduledStart, scheduledEnd, deliveredAt },
+   *       payments: [{ type, last4, amount }],
+   *       itemCount: number,
+   *       provenance: { [field]: { source, confidence } },
+   *       validation: { status ('ok' | 'warning' | 'error'), issues: [{ code, severity, message }] } (null when not validated),
+   *       shipments: [{ id, status, deliveredDate, carrier, trackingNumber, trackingUrl, seller,
+   *         fulfillmentType, items: [{ name, quantity, price, priceValue, priceCents, currency,
+   *         taxable, tax, taxAllocated, totalWithTax,
+   *         unitOfMeasure, measuredQuantity, unitPrice, listPrice, savings, rollback, clearance, promotions, fulfillmentStatus, substitution,
+   *         returnStatus, refund, seller, soldByWalmart, fulfilledByWalmart,
+   *         itemId, usItemId, upc, itemCode, taxCode, brand, productUrl, imageUrl }] }]
+   *     }]
+   *   }
+   *
+   * Every money field is { display: '$12.34', value: 12.34, cents: 1234, currency: 'USD' };
+   * value and cents are null when the amount is unknown. Discounts are negative.
+   * shipments is omitted when includeItems is false.
+   */
+  generateJSON(includeItems = true) {
+    const payload = {
+      schema: 'walmart-order-export',
+      schemaVersion: JSON_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      orderCount: this.orders.length,
+      orders: this.orders.map(order => this.buildJSONOrder(order, includeItems))
+    };
+
+    return JSON.stringify(payload, null, 2);
+  }
+
+  /**
+   * Convert an internal order object into its JSON export representation
+   */
+  buildJSONOrder(order, includeItems = true) {
+    const items = order.items || [];
+    const jsonOrder = {
+      orderId: order.orderId,
+      orderNumber: order.orderNumber || order.orderId,
+      orderType: order.orderType === 'store' ? 'store' : 'online',
+      orderDate: order.orderDate,
+      status: order.status,
+      purchaseKind: this.getPurchaseKind(order),
+      storeLocation: {
+        name: order.storeLocation?.name || '',
+        address: order.storeLocation?.address || '',
+        storeNumber: order.storeLocation?.storeNumber || null,
+        city: order.storeLocation?.city || null,
+        state: order.storeLocation?.state || null,
+        zip: order.storeLocation?.zip || null,
+        phone: order.storeLocation?.phone || null
+      },
+      storeReceipt: order.storeReceipt ? {
+        register: order.storeReceipt.register || null,
+        operator: order.storeReceipt.operator || null,
+        transactionNumber: order.storeReceipt.transactionNumber || null,
+        transactionTime: order.storeReceipt.transactionTime || null,
+        itemsSold: order.storeReceipt.itemsSold ?? null,
+        taxLines: (order.storeReceipt.taxLines || []).map(line => ({
+          code: line.code || null,
+          rate: line.rate,
+          amount: this.toMoneyField(line.amount)
+        })),
+        changeDue: this.toMoneyField(order.storeReceipt.changeDue)
+      } : null,
+      amounts: {
+        subtotal: this.toMoneyField(order.subtotal),
+        tax: this.toMoneyField(order.tax),
+        total: this.toMoneyField(order.total),
+        refundTotal: this.toMoneyField(this.getRefundTotal(order)),
+        netTotal: this.toMoneyField(this.getNetTotal(order))
+      },
+      cancelled: this.isOrderCancelled(order),
+      refunds: (order.refunds || []).map(refund => this.toRefundField(refund)),
+      fees: {
+        deliveryFee: this.toMoneyField(order.deliveryFee),
+        expressFee: this.toMoneyField(order.expressFee),
+        driverTip: this.toMoneyField(order.driverTip)
+      },
+      discounts: {
+        associateDiscount: this.toMoneyField(order.associateDiscount),
+        entries: (order.discounts || []).map(d => this.toDiscountField(d))
+      },
+      totalSavings: this.toMoneyField(this.getOrderSavings(order)),
+      fulfillment: {
+        type: this.getFulfillmentType(order) || null,
+        pickupStore: {
+          name: order.fulfillment?.pickupStore?.name || '',
+          address: order.fulfillment?.pickupStore?.address || ''
+        },
+        deliveryAddress: order.fulfillment?.deliveryAddress || null,
+        scheduledStart: order.fulfillment?.scheduledStart || null,
+        scheduledEnd: order.fulfillment?.scheduledEnd || null,
+        deliveredAt: order.fulfillment?.deliveredAt || null
+      },
+      payments: (order.payments || []).map(payment => ({
+        type: payment.type,
+        last4: payment.last4 || null,
+        amount: this.toMoneyField(payment.amount)
+      })),
+      itemCount: items.length,
+      provenance: order.provenance || {},
+      validation: order.validation || null
+    };
+
+    if (includeItems) {
+      const taxAllocation = this.getItemTaxAllocation(order);
+      const taxByItem = new Map(items.map((item, i) => [item, taxAllocation[i]]));
+      jsonOrder.shipments = this.getShipments(order).map(shipment => ({
+        id: shipment.id || null,
+        status: shipment.status,
+        deliveredDate: shipment.deliveredDate || null,
+        carrier: shipment.carrier || null,
+        trackingNumber: shipment.trackingNumber || null,
+        trackingUrl: shipment.trackingUrl || null,
+        seller: shipment.seller || null,
+        fulfillmentType: shipment.fulfillmentType || null,
+        items: shipment.items.map(item => ({
+          name: item.name,
+          quantity: item.quantity,
+          price: this.formatMoney(item.price),
+          priceValue: this.moneyValue(item.price),
+          priceCents: item.price ? item.price.cents : null,
+          currency: item.price?.currency || 'USD',
+          taxable: typeof item.taxable === 'boolean' ? item.taxable : null,
+          tax: this.toMoneyField(taxByItem.get(item)?.tax),
+          taxAllocated: Boolean(taxByItem.get(item)?.taxAllocated),
+          totalWithTax: this.toMoneyField(taxByItem.get(item)?.total),
+          unitOfMeasure: item.unitOfMeasure || null,
+          measuredQuantity: item.measuredQuantity ?? null,
+          unitPrice: this.toMoneyField(item.unitPrice),
+          listPrice: this.toMoneyField(item.listPrice),
+          savings: this.toMoneyField(this.getItemSavings(item)),
+          rollback: Boolean(item.rollback),
+          clearance: Boolean(item.clearance),
+          promotions: (item.promotions || []).map(d => this.toDiscountField(d)),
+          fulfillmentStatus: item.fulfillmentStatus || null,
+          substitution: item.substitution ? {
+            requestedName: item.substitution.requestedName,
+            requestedPrice: this.toMoneyField(item.substitution.requestedPrice),
+            requestedUsItemId: item.substitution.requestedUsItemId || null
+          } : null,
+          returnStatus: item.returnStatus || null,
+          refund: item.refund ? this.toRefundField(item.refund) : null,
+          seller: item.seller || null,
+          soldByWalmart: typeof item.soldByWalmart === 'boolean' ? item.soldByWalmart : null,
+          fulfilledByWalmart: typeof item.fulfilledByWalmart === 'boolean' ? item.fulfilledByWalmart : null,
+          itemId: item.itemId || null,
+          usItemId: item.usItemId || null,
+          upc: item.upc || null,
+          itemCode: item.itemCode || null,
+          taxCode: item.taxCode || null,
+          brand: item.brand || null,
+          productUrl: item.productUrl || null,
+          imageUrl: item.imageUrl || null
+        }))
+      }));
     }
 
-    // Extract totals
-    const subtotal = this.extractPrice(data.subtotal || data.subTotal || data.itemsTotal);
-    const tax = this.extractPrice(data.tax || data.taxTotal || data.estimatedTax);
-    const total = this.extractPrice(data.total || data.orderTotal || data.grandTotal);
+    return jsonOrder;
+  }
+
+  /**
+   * Expand a refund into its JSON export form
+   */
+  toRefundField(refund) {
+    return { amount: this.toMoneyField(refund.amount), date: refund.date || null, reason: refund.reason || null };
+  }
+
+  /**
+   * Expand a discount entry into its JSON export form
+   */
+  toDiscountField(discount) {
+    return { label: discount.label, type: discount.type, amount: this.toMoneyField(discount.amount) };
+  }
 
+  /**
+   * Expand money into its JSON export form: display string, numeric value and cents
+   */
+  toMoneyField(money) {
     return {
-      orderId,
-      orderNumber: data.orderNumber || data.orderId || data.id || orderId,
-      orderType: 'online',
-      orderDate,
-      status,
-      items,
-      subtotal,
-      tax,
-      total,
-      associateDiscount: '',
-      driverTip: '',
-      deliveryFee: '',
-      expressFee: '',
-      storeLocation: { name: '', address: '' }
+      display: this.formatMoney(money),
+      value: this.moneyValue(money),
+      cents: money ? money.cents : null,
+      currency: money?.currency || 'USD'
     };
   }
 
   /**
-   * Format a date value to readable string
+   * Generate an Excel workbook with an Orders sheet (one row per order) and an
+   * Items sheet (one row per line item keyed by order number)
+   * Returns the .xlsx file as a Uint8Array
    */
-  formatDate(dateValue) {
-    if (!dateValue) return 'Unknown';
+  generateXLSX() {
+    const orderColumns = [
+      { header: 'Order Number', type: 'string', width: 22, value: o => o.orderNumber || o.orderId },
+      { header: 'Order Date', type: 'date', width: 14, value: o => o.orderDate },
+      { header: 'Status', type: 'string', width: 18, value: o => o.status },
+      { header: 'Order Type', type: 'string', width: 11, value: o => o.orderType === 'store' ? 'Store' : 'Online' },
+      { header: 'Purchase Kind', type: 'string', width: 13, value: o => this.getPurchaseKind(o) },
+      { header: 'Item Count', type: 'number', width: 11, value: o => o.items?.length || 0 },
+      { header: 'Subtotal', type: 'money', width: 12, value: o => o.subtotal },
+      { header: 'Tax', type: 'money', width: 10, value: o => o.tax },
+      { header: 'Associate Discount', type: 'money', width: 12, value: o => o.associateDiscount },
+      { header: 'Driver Tip', type: 'money', width: 11, value: o => o.driverTip },
+      { header: 'Delivery Fee', type: 'money', width: 12, value: o => o.deliveryFee },
+      { header: 'Express Fee', type: 'money', width: 12, value: o => o.expressFee },
+      { header: 'Order Total', type: 'money', width: 12, value: o => o.total },
+      { header: 'Total Savings', type: 'money', width: 12, value: o => this.getOrderSavings(o) },
+      { header: 'Refund Total', type: 'money', width: 12, value: o => this.getRefundTotal(o) },
+      { header: 'Net Total', type: 'money', width: 12, value: o => this.getNetTotal(o) },
+      { header: 'Payment Methods', type: 'string', width: 36, value: o => this.formatPayments(o.payments) },
+      { header: 'Store Location', type: 'string', width: 40, value: o => this.formatStoreLocation(o.storeLocation) },
+      { header: 'Store Number', type: 'string', width: 8, value: o => o.storeLocation?.storeNumber || '' },
+      { header: 'Register', type: 'string', width: 9, value: o => o.storeReceipt?.register || '' },
+      { header: 'Transaction Time', type: 'string', width: 12, value: o => o.storeReceipt?.transactionTime || '' },
+      { header: 'Change Due', type: 'money', width: 11, value: o => o.storeReceipt?.changeDue },
+      { header: 'Fulfillment', type: 'string', width: 11, value: o => this.getFulfillmentType(o) },
+      { header: 'Pickup Store', type: 'string', width: 40, value: o => this.formatStoreLocation(o.fulfillment?.pickupStore) },
+      { header: 'Delivery Address', type: 'string', width: 40, value: o => o.fulfillment?.deliveryAddress || '' },
+      { header: 'Delivered At', type: 'string', width: 20, value: o => o.fulfillment?.deliveredAt || '' },
+      { header: 'Validation', type: 'string', width: 10, value: o => o.validation?.status || '' },
+      { header: 'Validation Issues', type: 'string', width: 50, value: o => this.formatValidationIssues(o.validation) }
+    ];
 
-    try {
-      // If it's already a readable string like "Jan 15, 2024"
-      if (typeof dateValue === 'string' && /[A-Za-z]/.test(dateValue)) {
-        return dateValue;
-      }
+    const itemColumns = [
+      { header: 'Order Number', type: 'string', width: 22, value: r => r.order.orderNumber || r.order.orderId },
+      { header: 'Order Date', type: 'date', width: 14, value: r => r.order.orderDate },
+      { header: 'Item Name', type: 'string', width: 60, value: r => r.item.name },
+      { header: 'Quantity', type: 'number', width: 10, value: r => r.item.quantity },
+      { header: 'Item Price', type: 'money', width: 12, value: r => r.item.price },
+      { header: 'Taxable', type: 'string', width: 8, value: r => this.formatTaxable(r.item) },
+      { header: 'Item Tax', type: 'money', width: 11, value: r => this.getItemTaxDetails(r.order, r.item).tax },
+      { header: 'Item Total incl. Tax', type: 'money', width: 13, value: r => this.getItemTaxDetails(r.order, r.item).total },
+      { header: 'Measured Quantity', type: 'number', width: 10, value: r => r.item.measuredQuantity },
+      { header: 'Unit', type: 'string', width: 7, value: r => r.item.unitOfMeasure || '' },
+      { header: 'Unit Price', type: 'money', width: 12, value: r => r.item.unitPrice },
+      { header: 'List Price', type: 'money', width: 12, value: r => r.item.listPrice },
+      { header: 'Savings', type: 'money', width: 12, value: r => this.getItemSavings(r.item) },
+      { header: 'Price Flags', type: 'string', width: 18, value: r => this.formatPriceFlags(r.item) },
+      { header: 'Return Status', type: 'string', width: 13, value: r => r.item.returnStatus || '' },
+      { header: 'Refund', type: 'money', width: 12, value: r => r.item.refund?.amount },
+      { header: 'Seller', type: 'string', width: 18, value: r => r.item.seller || this.findItemShipment(r.order, r.item)?.seller || '' },
+      { header: 'Sold By', type: 'string', width: 12, value: r => (this.isMarketplaceItem(r.order, r.item) ? 'Marketplace' : 'Walmart') },
+      { header: 'Fulfilled By', type: 'string', width: 12, value: r => this.formatFulfilledBy(r.item) },
+      { header: 'US Item ID', type: 'string', width: 14, value: r => r.item.usItemId || '' },
+      { header: 'UPC', type: 'string', width: 15, value: r => r.item.upc || '' },
+      { header: 'Item Code', type: 'string', width: 15, value: r => r.item.itemCode || '' },
+      { header: 'Tax Code', type: 'string', width: 8, value: r => r.item.taxCode || '' },
+      { header: 'Brand', type: 'string', width: 18, value: r => r.item.brand || '' },
+      { header: 'Product URL', type: 'string', width: 40, value: r => r.item.productUrl || '' }
+    ];
 
-      // Try to parse as date
-      const date = new Date(dateValue);
-      if (!isNaN(date.getTime())) {
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const itemRows = [];
+    for (const order of this.orders) {
+      for (const item of order.items || []) {
+        itemRows.push({ order, item });
       }
-    } catch (e) {
-      // Fall through
     }
 
-    return String(dateValue);
+    const sheets = [
+      { name: 'Orders', columns: orderColumns, rows: this.orders },
+      { name: 'Items', columns: itemColumns, rows: itemRows },
+      { name: 'Shipments', columns: this.getShipmentColumns(), rows: this.getShipmentRows() },
+      { name: 'Substitutions', columns: this.getSubstitutionColumns(), rows: this.getSubstitutionRows() }
+    ];
+
+    const files = [
+      { name: '[Content_Types].xml', content: this.buildXLSXContentTypes(sheets) },
+      { name: '_rels/.rels', content: XLSX_ROOT_RELS },
+      { name: 'xl/workbook.xml', content: this.buildXLSXWorkbook(sheets) },
+      { name: 'xl/_rels/workbook.xml.rels', content: this.buildXLSXWorkbookRels(sheets) },
+      { name: 'xl/styles.xml', content: XLSX_STYLES }
+    ];
+    sheets.forEach((sheet, i) => {
+      files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, content: this.buildXLSXSheet(sheet) });
+    });
+
+    return this.buildZip(files);
   }
 
   /**
-   * Extract price from various formats
+   * Build a worksheet XML part with a frozen, filterable header row
    */
-  extractPrice(value) {
-    if (!value) return '';
-
-    if (typeof value === 'number') {
-      return `$${value.toFixed(2)}`;
-    }
+  buildXLSXSheet(sheet) {
+    const { columns, rows } = sheet;
+    const lastCol = this.xlsxColumnName(columns.length - 1);
+    const rowXml = [];
 
-    if (typeof value === 'string') {
-      return value.startsWith('$') ? value : `$${value}`;
-    }
+    const headerCells = columns.map((col, c) =>
+      `<c r="${this.xlsxColumnName(c)}1" t="inlineStr" s="${XLSX_STYLE.header}"><is><t>${this.escapeXML(col.header)}</t></is></c>`
+    );
+    rowXml.push(`<row r="1">${headerCells.join('')}</row>`);
 
-    if (typeof value === 'object') {
-      const amount = value.amount || value.value || value.price || 0;
-      return `$${Number(amount).toFixed(2)}`;
-    }
+    rows.forEach((row, i) => {
+      const r = i + 2;
+      const cells = columns.map((col, c) => this.buildXLSXCell(`${this.xlsxColumnName(c)}${r}`, col.type, col.value(row)));
+      rowXml.push(`<row r="${r}">${cells.join('')}</row>`);
+    });
 
-    return '';
+    const cols = columns.map((col, c) =>
+      `<col min="${c + 1}" max="${c + 1}" width="${col.width}" customWidth="1"/>`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0">' +
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+      '</sheetView></sheetViews>' +
+      `<cols>${cols}</cols>` +
+      `<sheetData>${rowXml.join('')}</sheetData>` +
+      `<autoFilter ref="A1:${lastCol}${rows.length + 1}"/>` +
+      '</worksheet>';
   }
 
   /**
-   * Extract items from DOM elements (more reliable than regex)
+   * Build a single typed worksheet cell
+   * Money cells take the canonical money type; dates that cannot be parsed are
+   * written as text so nothing is lost
    */
-  extractItemsFromDOM(doc) {
-    const items = [];
-    const seen = new Set();
+  buildXLSXCell(ref, type, value) {
+    if (value === null || value === undefined || value === '') {
+      return `<c r="${ref}"/>`;
+    }
 
-    // Strategy 1: Find product links (most reliable)
-    // Walmart product links typically go to /ip/ pages
-    const productLinks = doc.querySelectorAll('a[href*="/ip/"]');
-    console.log('[Walmart Order Exporter] Found', productLinks.length, 'product links');
+    if (type === 'money') {
+      if (typeof value.cents === 'number') {
+        return `<c r="${ref}" s="${XLSX_STYLE.currency}"><v>${this.moneyValue(value)}</v></c>`;
+      }
+    } else if (type === 'date') {
+      const serial = this.toExcelDate(value);
+      if (serial !== null) {
+        return `<c r="${ref}" s="${XLSX_STYLE.date}"><v>${serial}</v></c>`;
+      }
+    } else if (type === 'number' && typeof value === 'number' && isFinite(value)) {
+      return `<c r="${ref}"><v>${value}</v></c>`;
+    }
 
-    productLinks.forEach(link => {
-      const name = link.textContent?.trim();
-      if (name && name.length > 5 && name.length < 300 && !seen.has(name)) {
-        let price = '';
-        let quantity = 1;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${this.escapeXML(value)}</t></is></c>`;
+  }
 
-        // Traverse up the DOM tree to find a container with price info
-        // Walmart's DOM requires going up ~15 levels to find the price
-        let container = link;
-        for (let i = 0; i < 20 && container; i++) {
-          container = container.parentElement;
-          if (container) {
-            // Look for price element with data-testid="line-price"
-            const priceEl = container.querySelector('[data-testid="line-price"]');
-            if (priceEl) {
-              const priceText = priceEl.textContent || '';
-              const priceMatch = priceText.match(/\$(\d+\.\d{2})/);
-              if (priceMatch) {
-                price = `$${priceMatch[1]}`;
-              }
+  /**
+   * Build [Content_Types].xml declaring the workbook, styles and sheet parts
+   */
+  buildXLSXContentTypes(sheets) {
+    const sheetOverrides = sheets.map((sheet, i) =>
+      `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheetOverrides +
+      '</Types>';
+  }
 
-              // Also look for quantity in this container
-              const containerText = container.innerText || '';
-              const qtyMatch = containerText.match(/Qty\s*(\d+)/i);
-              if (qtyMatch) {
-                quantity = parseInt(qtyMatch[1]);
-              }
-              break;
-            }
-          }
-        }
+  /**
+   * Build xl/workbook.xml listing the sheets in order
+   */
+  buildXLSXWorkbook(sheets) {
+    const sheetEntries = sheets.map((sheet, i) =>
+      `<sheet name="${this.escapeXML(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+    ).join('');
+
+    // Excel expects a hidden _FilterDatabase name for each sheet with an autofilter
+    const filterNames = sheets.map((sheet, i) => {
+      const lastCol = this.xlsxColumnName(sheet.columns.length - 1);
+      return `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">` +
+        `'${this.escapeXML(sheet.name)}'!$A$1:$${lastCol}$${sheet.rows.length + 1}</definedName>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets>${sheetEntries}</sheets>` +
+      `<definedNames>${filterNames}</definedNames>` +
+      '</workbook>';
+  }
 
-        // Fallback: if no data-testid price found, try regex on larger container
-        if (!price && container) {
-          const containerText = container.innerText || '';
-          const priceMatch = containerText.match(/\$(\d+\.\d{2})/);
-          if (priceMatch) {
-            price = `$${priceMatch[1]}`;
-          }
-          const qtyMatch = containerText.match(/Qty\s*(\d+)/i);
-          if (qtyMatch) {
-            quantity = parseInt(qtyMatch[1]);
-          }
-        }
+  /**
+   * Build xl/_rels/workbook.xml.rels linking the workbook to its sheets and styles
+   */
+  buildXLSXWorkbookRels(sheets) {
+    const sheetRels = sheets.map((sheet, i) =>
+      `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheetRels +
+      `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>';
+  }
 
-        if (this.isValidProductName(name)) {
-          seen.add(name);
-          items.push({
-            name,
-            quantity,
-            price,
-            priceValue: price ? parseFloat(price.replace('$', '')) : 0
-          });
-          console.log('[Walmart Order Exporter] Added item:', name.substring(0, 40), 'price:', price);
-        }
-      }
-    });
+  /**
+   * Convert a zero-based column index to a spreadsheet column name (0 -> A, 26 -> AA)
+   */
+  xlsxColumnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+      const rem = (n - 1) % 26;
+      name = String.fromCharCode(65 + rem) + name;
+      n = Math.floor((n - 1) / 26);
+    }
+    return name;
+  }
 
-    console.log('[Walmart Order Exporter] Strategy 1 found', items.length, 'items');
+  /**
+   * Convert a date string like "Jan 22, 2026" to an Excel serial day number
+   */
+  toExcelDate(value) {
+    if (!value || value === 'Unknown') return null;
 
-    // Strategy 2: If no product links found, try looking for item containers
-    if (items.length === 0) {
-      // Look for elements that might be product names by their structure
-      const allLinks = doc.querySelectorAll('a[data-testid], a[class*="product"], a[class*="item"]');
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
 
-      allLinks.forEach(link => {
-        const name = link.textContent?.trim();
-        if (name && name.length > 10 && name.length < 300 && !seen.has(name) && this.isValidProductName(name)) {
-          seen.add(name);
+    const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    return (utc - Date.UTC(1899, 11, 30)) / 86400000;
+  }
 
-          const container = link.closest('div') || link.parentElement;
-          let price = '';
-          let quantity = 1;
+  /**
+   * Escape a value for inclusion in XML text or attributes
+   * Also strips control characters that are not allowed in XML 1.0
+   */
+  escapeXML(value) {
+    return String(value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
 
-          if (container) {
-            const text = container.innerText || '';
-            const priceMatch = text.match(/\$(\d+\.\d{2})/);
-            if (priceMatch) price = `$${priceMatch[1]}`;
+  /**
+   * Package files into an uncompressed (stored) ZIP archive
+   * @param {Array<{name: string, content: string|Uint8Array}>} files
+   * @returns {Uint8Array}
+   */
+  buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const nameBytes = encoder.encode(file.name);
+      const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // Local file header signature
+      local.setUint16(4, 20, true); // Version needed to extract
+      local.setUint16(6, 0x0800, true); // Flags: UTF-8 file names
+      local.setUint16(8, 0, true); // Compression: stored
+      local.setUint16(10, 0, true); // Modification time
+      local.setUint16(12, 0x21, true); // Modification date (1980-01-01)
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true); // Compressed size
+      local.setUint32(22, data.length, true); // Uncompressed size
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true); // Extra field length
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // Central directory header signature
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed to extract
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, 0, true);
+      central.setUint16(14, 0x21, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true); // Offset of local header
+
+      localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+      centralParts.push(new Uint8Array(central.buffer), nameBytes);
+      offset += 30 + nameBytes.length + data.length;
+    }
 
-            const qtyMatch = text.match(/Qty\s*(\d+)/i);
-            if (qtyMatch) quantity = parseInt(qtyMatch[1]);
-          }
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true); // Entries on this disk
+    end.setUint16(10, files.length, true); // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true); // Offset of central directory
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+      zip.set(part, position);
+      position += part.length;
+    }
+    return zip;
+  }
 
-          items.push({
-            name,
-            quantity,
-            price,
-            priceValue: price ? parseFloat(price.replace('$', '')) : 0
-          });
+  /**
+   * Compute the CRC-32 checksum used by ZIP archives
+   */
+  crc32(bytes) {
+    if (!CRC32_TABLE.length) {
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
         }
-      });
+        CRC32_TABLE.push(c >>> 0);
+      }
     }
 
-    // Strategy 3: Fallback - find any element with substantial text near a price
-    if (items.length === 0) {
-      const allElements = doc.querySelectorAll('span, div, p');
-
-      allElements.forEach(el => {
-        const text = el.textContent?.trim();
-        // Look for elements that look like product names (substantial text, not UI elements)
-        if (text &&
-            text.length > 15 &&
-            text.length < 200 &&
-            !text.includes('$') &&
-            !text.includes('Qty') &&
-            !seen.has(text) &&
-            this.isValidProductName(text)) {
-
-          // Check if there's a price nearby
-          const parent = el.parentElement;
-          if (parent) {
-            const parentText = parent.innerText || '';
-            const priceMatch = parentText.match(/\$(\d+\.\d{2})/);
-
-            if (priceMatch) {
-              seen.add(text);
-              items.push({
-                name: text,
-                quantity: 1,
-                price: `$${priceMatch[1]}`,
-                priceValue: parseFloat(priceMatch[1])
-              });
-            }
-          }
-        }
-      });
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
     }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
 
-    return items;
+  /**
+   * Order-level discounts to post for an order, each {label, type, amount}
+   * Uses order.discounts when present; older data with only associateDiscount
+   * yields a single associate entry. Zero amounts are skipped.
+   */
+  getOrderDiscountEntries(order) {
+    const entries = order.discounts?.length
+      ? order.discounts
+      : [{ label: 'Associate discount', type: 'associate', amount: order.associateDiscount }];
+    return entries.filter(entry => entry?.amount?.cents);
   }
 
   /**
-   * Check if a string is a valid product name
+   * Build a finance transaction for an order: one entry dated orderDate for the
+   * order total, split into items, tax, fees, tip and discounts
+   * Amounts are integer cents, negative for money spent. A final "unallocated"
+   * split absorbs any difference so splits always sum to the transaction amount.
+   * Returns null when the order has no usable date or amount.
    */
-  isValidProductName(name) {
-    if (!name || name.length < 5 || name.length > 200) return false;
+  buildFinanceTransaction(order) {
+    const date = order.orderDate && order.orderDate !== 'Unknown' ? new Date(order.orderDate) : null;
+    if (!date || isNaN(date.getTime())) return null;
+
+    const toCents = money => (money ? money.cents : 0);
+
+    const splits = [];
+    for (const item of order.items || []) {
+      if (!item.price?.cents) continue;
+      splits.push({
+        category: FINANCE_CATEGORIES.item,
+        memo: item.quantity > 1 ? `${item.name} (x${item.quantity})` : item.name,
+        amount: -item.price.cents
+      });
+    }
 
-    const invalidPatterns = [
-      /^Subtotal/i,
-      /^Total/i,
-      /^Tax/i,
-      /^Savings/i,
-      /^Associate discount/i,
-      /^Driver tip/i,
-      /^Payment method/i,
-      /^Delivery/i,
-      /^Address/i,
-      /^Order#/i,
-      /^Complete,/i,
-      /^Current,/i,
-      /^Not complete/i,
-      /^Placed/i,
-      /^Preparing/i,
-      /^On the way/i,
-      /^Delivered/i,
-      /^Return eligible/i,
-      /^How can we help/i,
-      /^Need more help/i,
-      /^Start a return/i,
-      /^Track shipment/i,
-      /^View delivery/i,
-      /^Charge history/i,
-      /^Walmart\+/i,
-      /^Free delivery/i,
-      /^Express\s*\$/i,
-      /^Temporary hold/i,
-      /^Your payment/i,
-      /^Ending in/i,
-      // Store purchase specific patterns
-      /^TC#/i,
-      /^Store purchase/i,
-      /^Purchased at/i,
-      /^Receipt/i,
-      /^Transaction/i,
-      /^Store:/i,
-      /^Walmart Supercenter/i,
-      /^Walmart Neighborhood/i,
-      /^Cash back/i,
-      /^Change due/i,
-      /^Tender/i,
-      /^VISA|MASTERCARD|AMEX|DISCOVER/i,
-      /^\d+\s+items?$/i
+    const orderSplits = [
+      ['tax', 'Sales tax'],
+      ['deliveryFee', 'Delivery fee'],
+      ['expressFee', 'Express fee'],
+      ['driverTip', 'Driver tip']
     ];
+    for (const [field, memo] of orderSplits) {
+      const cents = toCents(order[field]);
+      if (cents) {
+        splits.push({ category: FINANCE_CATEGORIES[field], memo, amount: -cents });
+      }
+    }
 
-    for (const pattern of invalidPatterns) {
-      if (pattern.test(name)) return false;
+    // Discounts are stored negative, so as a split they offset the spending
+    for (const discount of this.getOrderDiscountEntries(order)) {
+      splits.push({
+        category: FINANCE_CATEGORIES[DISCOUNT_ACCOUNT_KEYS[discount.type]] || FINANCE_CATEGORIES.promotionDiscount,
+        memo: discount.label,
+        amount: -discount.amount.cents
+      });
     }
 
-    return true;
+    const splitTotal = splits.reduce((sum, split) => sum + split.amount, 0);
+    const totalCents = toCents(order.total);
+    const amount = totalCents ? -totalCents : splitTotal;
+    if (!amount) return null;
+
+    if (amount !== splitTotal) {
+      splits.push({
+        category: FINANCE_CATEGORIES.unallocated,
+        memo: 'Unallocated (items without prices or rounding)',
+        amount: amount - splitTotal
+      });
+    }
+
+    const orderNumber = String(order.orderNumber || order.orderId);
+    const tcMatch = orderNumber.match(/^TC#\s*(\d[\d -]*\d)/);
+
+    return {
+      id: order.orderId,
+      date,
+      amount,
+      payee: order.storeLocation?.name || (order.orderType === 'store' ? 'Walmart' : 'Walmart.com'),
+      // Store receipts carry a TC# which serves as the check/reference number
+      checkNumber: tcMatch ? tcMatch[1] : '',
+      memo: tcMatch ? `Walmart TC# ${tcMatch[1]}` : `Walmart order ${orderNumber}`,
+      splits
+    };
   }
 
   /**
-   * Check if there's a next page button
+   * Collect finance transactions for all exportable orders
    */
-  hasNextPage() {
-    const nextBtn = document.querySelector('button[aria-label="Next page"]');
-    return nextBtn && !nextBtn.disabled;
+  getFinanceTransactions() {
+    const transactions = [];
+    for (const order of this.orders) {
+      const transaction = this.buildFinanceTransaction(order);
+      if (transaction) {
+        transactions.push(transaction);
+      } else {
+        console.log('[Walmart Order Exporter] Skipped order without date or amount for finance export:', order.orderId);
+      }
+    }
+    return transactions;
   }
 
   /**
-   * Click next page and wait for load
+   * Format integer cents as a plain decimal amount (e.g. -1234 -> "-12.34")
    */
-  async goToNextPage() {
-    const nextBtn = document.querySelector('button[aria-label="Next page"]');
-    if (nextBtn && !nextBtn.disabled) {
-      nextBtn.click();
-      await this.waitForPageUpdate();
-      return true;
+  formatCents(cents) {
+    const sign = cents < 0 ? '-' : '';
+    const abs = Math.abs(cents);
+    return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Generate a QIF file with one split transaction per order
+   */
+  generateQIF() {
+    const lines = ['!Type:CCard'];
+
+    for (const txn of this.getFinanceTransactions()) {
+      const month = String(txn.date.getMonth() + 1).padStart(2, '0');
+      const day = String(txn.date.getDate()).padStart(2, '0');
+
+      lines.push(`D${month}/${day}/${txn.date.getFullYear()}`);
+      lines.push(`T${this.formatCents(txn.amount)}`);
+      lines.push(`P${this.sanitizeQIF(txn.payee)}`);
+      if (txn.checkNumber) {
+        lines.push(`N${txn.checkNumber}`);
+      }
+      lines.push(`M${this.sanitizeQIF(txn.memo)}`);
+
+      for (const split of txn.splits) {
+        lines.push(`S${this.sanitizeQIF(split.category)}`);
+        lines.push(`E${this.sanitizeQIF(split.memo)}`);
+        lines.push(`$${this.formatCents(split.amount)}`);
+      }
+      lines.push('^');
     }
-    return false;
+
+    return lines.join('\r\n') + '\r\n';
   }
 
   /**
-   * Wait for page content to update after navigation
+   * QIF fields are single lines; collapse whitespace and newlines
    */
-  waitForPageUpdate() {
-    return new Promise(resolve => {
-      setTimeout(resolve, 2000);
-    });
+  sanitizeQIF(value) {
+    return String(value || '').replace(/\s+/g, ' ').trim();
   }
 
   /**
-   * Wait between requests to avoid rate limiting
+   * Escape a value for an OFX 1.x (SGML) element
+   * SGML only knows &amp;, &lt; and &gt;; values are single lines, so whitespace is collapsed.
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  escapeSGML(value) {
+    return String(value ?? '')
+      .replace(/[\u0000-\u001F]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
   }
 
   /**
-   * Main export function
+   * Cut escaped SGML text to a field's maximum length without splitting an entity
    */
-  async exportOrders(options = {}) {
-    console.log('[Walmart Order Exporter] Starting export with options:', options);
+  truncateSGML(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    return text.substring(0, maxLength).replace(/&[a-z]*$/, '').trimEnd();
+  }
 
-    const {
-      includeItems = true,
-      allPages = true,
-      dateRange = 30,
-      orderTypeFilter = 'all',
-      fetchItemPrices = false
-    } = options;
+  /**
+   * Generate an OFX 1.02 credit card statement with one transaction per order
+   * OFX has no split transactions, so the item/tax/fee breakdown goes in MEMO.
+   */
+  generateOFX() {
+    const transactions = this.getFinanceTransactions();
+    const ofxDate = date => `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    const now = ofxDate(new Date());
+
+    const times = transactions.map(txn => txn.date.getTime());
+    const start = transactions.length ? ofxDate(new Date(Math.min(...times))) : now;
+    const end = transactions.length ? ofxDate(new Date(Math.max(...times))) : now;
+
+    const stmtTrns = transactions.map(txn => {
+      const breakdown = txn.splits.map(split => `${split.memo}: ${this.formatCents(split.amount)}`).join('; ');
+      const fields = [
+        `<TRNTYPE>${txn.amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+        `<DTPOSTED>${ofxDate(txn.date)}</DTPOSTED>`,
+        `<TRNAMT>${this.formatCents(txn.amount)}</TRNAMT>`,
+        `<FITID>${this.escapeSGML(txn.id)}</FITID>`
+      ];
+      if (txn.checkNumber) {
+        fields.push(`<CHECKNUM>${this.escapeSGML(txn.checkNumber)}</CHECKNUM>`);
+      } else {
+        fields.push(`<REFNUM>${this.escapeSGML(txn.id)}</REFNUM>`);
+      }
+      // Field limits apply to the escaped text
+      fields.push(`<NAME>${this.truncateSGML(this.escapeSGML(txn.payee), 32)}</NAME>`);
+      fields.push(`<MEMO>${this.truncateSGML(this.escapeSGML(`${txn.memo} - ${breakdown}`), 255)}</MEMO>`);
+      return `<STMTTRN>\r\n${fields.join('\r\n')}\r\n</STMTTRN>`;
+    });
 
-    this.isExporting = true;
-    this.orders = [];
-    this.processedOrders = 0;
+    const header = [
+      'OFXHEADER:100',
+      'DATA:OFXSGML',
+      'VERSION:102',
+      'SECURITY:NONE',
+      // The file is written as UTF-8, which OFX 1.x declares as UNICODE
+      'ENCODING:UNICODE',
+      'CHARSET:NONE',
+      'COMPRESSION:NONE',
+      'OLDFILEUID:NONE',
+      'NEWFILEUID:NONE',
+      ''
+    ];
 
-    // Calculate cutoff date
-    let cutoffDate = null;
-    if (dateRange !== 'all') {
-      cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - dateRange);
-    }
+    const body = [
+      '<OFX>',
+      '<SIGNONMSGSRSV1><SONRS>',
+      '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      `<DTSERVER>${now}</DTSERVER>`,
+      '<LANGUAGE>ENG</LANGUAGE>',
+      '</SONRS></SIGNONMSGSRSV1>',
+      '<CREDITCARDMSGSRSV1><CCSTMTTRNRS>',
+      '<TRNUID>0</TRNUID>',
+      '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      '<CCSTMTRS>',
+      '<CURDEF>USD</CURDEF>',
+      '<CCACCTFROM><ACCTID>WALMART</ACCTID></CCACCTFROM>',
+      '<BANKTRANLIST>',
+      `<DTSTART>${start}</DTSTART>`,
+      `<DTEND>${end}</DTEND>`,
+      ...stmtTrns,
+      '</BANKTRANLIST>',
+      `<LEDGERBAL><BALAMT>0.00</BALAMT><DTASOF>${now}</DTASOF></LEDGERBAL>`,
+      '</CCSTMTRS>',
+      '</CCSTMTTRNRS></CREDITCARDMSGSRSV1>',
+      '</OFX>'
+    ];
 
-    let pageNum = 1;
-    let reachedCutoff = false;
+    return [...header, ...body].join('\r\n') + '\r\n';
+  }
 
-    try {
-      while (this.isExporting && !reachedCutoff) {
-        this.sendProgress({
-          label: `Processing page ${pageNum}...`,
-          detail: 'Extracting order data from page...'
-        });
+  /**
+   * Merge user account overrides with DEFAULT_LEDGER_ACCOUNTS
+   * Unknown keys and blank values are ignored
+   */
+  getLedgerAccounts(accountMap = {}) {
+    const accounts = { ...DEFAULT_LEDGER_ACCOUNTS };
+    for (const key of Object.keys(DEFAULT_LEDGER_ACCOUNTS)) {
+      const override = typeof accountMap[key] === 'string' ? accountMap[key].trim() : '';
+      if (override) {
+        accounts[key] = override;
+      }
+    }
+    return accounts;
+  }
 
-        // Extract order data directly from the visible page (more reliable than fetching)
-        let pageOrders = this.extractOrderDataFromListPage();
+  /**
+   * Build a balanced journal entry for an order
+   * Postings are in integer cents; the payment posting is the negated total.
+   * When the parts don't add up to the total, an extra posting to the
+   * unreconciled account carries the difference and is flagged pending.
+   * Returns null when the order has no usable date or amount.
+   */
+  buildJournalEntry(order, accounts) {
+    const date = order.orderDate && order.orderDate !== 'Unknown' ? new Date(order.orderDate) : null;
+    if (!date || isNaN(date.getTime())) return null;
 
-        // Fallback: If list extraction found nothing, try fetching individual order pages
-        if (pageOrders.length === 0) {
-          console.log('[Walmart Order Exporter] List extraction found 0 orders, trying individual fetch fallback');
-          this.sendProgress({
-            detail: 'Trying fallback method - fetching individual orders...'
-          });
+    const toCents = money => (money ? money.cents : 0);
 
-          const orderIds = this.getOrderIdsFromPage();
-          console.log('[Walmart Order Exporter] Found', orderIds.length, 'order IDs for fallback fetch');
+    const items = order.items || [];
+    let subtotal = toCents(order.subtotal);
+    if (!subtotal) {
+      subtotal = items.reduce((sum, item) => sum + toCents(item.price), 0);
+    }
 
-          for (const orderInfo of orderIds) {
-            if (!this.isExporting) break;
+    const postings = [];
+    if (subtotal) postings.push({ account: accounts.subtotal, amount: subtotal });
 
-            this.sendProgress({
-              detail: `Fetching order ${orderInfo.orderId}...`
-            });
+    for (const field of ['tax', 'deliveryFee', 'expressFee', 'driverTip']) {
+      const cents = toCents(order[field]);
+      if (cents) postings.push({ account: accounts[field], amount: cents });
+    }
 
-            try {
-              const details = await this.fetchOrderDetails(orderInfo);
-              if (details && details.orderId) {
-                pageOrders.push(details);
-                console.log('[Walmart Order Exporter] Fetched order details:', orderInfo.orderId);
-              }
-            } catch (err) {
-              console.error('[Walmart Order Exporter] Failed to fetch order:', orderInfo.orderId, err);
-            }
+    for (const discount of this.getOrderDiscountEntries(order)) {
+      postings.push({
+        account: accounts[DISCOUNT_ACCOUNT_KEYS[discount.type]] || accounts.promotionDiscount,
+        amount: discount.amount.cents
+      });
+    }
 
-            // Rate limiting
-            await this.delay(500);
-          }
-        }
+    const partsTotal = postings.reduce((sum, posting) => sum + posting.amount, 0);
+    const total = toCents(order.total) || partsTotal;
+    if (!total) return null;
 
-        if (pageOrders.length === 0) {
-          this.sendProgress({
-            detail: 'No orders found on this page'
-          });
-        }
+    if (total !== partsTotal) {
+      postings.push({ account: accounts.unreconciled, amount: total - partsTotal, pending: true });
+    }
+    postings.push({ account: accounts.payment, amount: -total });
 
-        // Process each order
-        for (let i = 0; i < pageOrders.length; i++) {
-          if (!this.isExporting) break;
+    const orderNumber = String(order.orderNumber || order.orderId);
+    const tcMatch = orderNumber.match(/^TC#\s*(\d[\d -]*\d)/);
 
-          const orderDetails = pageOrders[i];
-          const displayId = orderDetails.orderType === 'store' ? `${orderDetails.orderId} (store)` : orderDetails.orderId;
+    return {
+      date,
+      code: tcMatch ? tcMatch[1] : orderNumber,
+      payee: order.storeLocation?.name || (order.orderType === 'store' ? 'Walmart' : 'Walmart.com'),
+      narration: tcMatch ? `Walmart TC# ${tcMatch[1]}` : `Walmart order ${orderNumber}`,
+      orderId: order.orderId,
+      orderType: order.orderType === 'store' ? 'store' : 'online',
+      items,
+      postings
+    };
+  }
 
-          this.sendProgress({
-            percent: ((this.processedOrders + i) / Math.max(pageOrders.length * pageNum, 1)) * 100,
-            detail: `Processing order ${displayId}...`
-          });
+  /**
+   * Generate a plain-text accounting journal
+   * @param {string} dialect - 'ledger', 'hledger' or 'beancount'
+   * @param {Object} accountMap - Overrides for DEFAULT_LEDGER_ACCOUNTS
+   */
+  generateJournal(dialect, accountMap = {}) {
+    const accounts = this.getLedgerAccounts(accountMap);
+    const entries = [];
+
+    for (const order of this.orders) {
+      const entry = this.buildJournalEntry(order, accounts);
+      if (entry) {
+        entries.push(entry);
+      } else {
+        console.log('[Walmart Order Exporter] Skipped order without date or amount for journal export:', order.orderId);
+      }
+    }
 
-          console.log('[Walmart Order Exporter] Order', displayId, 'type:', orderDetails.orderType, 'date:', orderDetails.orderDate, 'items:', orderDetails.items?.length || 0);
+    const isoDate = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const formatAmount = cents => dialect === 'beancount'
+      ? `${this.formatCents(cents)} USD`
+      : `$${this.formatCents(cents)}`;
+    const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const oneLine = value => String(value || '').replace(/\s+/g, ' ').trim();
+
+    const indent = dialect === 'beancount' ? '  ' : '    ';
+    const lines = [`; Walmart orders exported ${new Date().toISOString()}`, ''];
+
+    // Beancount rejects postings to accounts that were never opened
+    if (dialect === 'beancount' && entries.length > 0) {
+      const firstDate = isoDate(new Date(Math.min(...entries.map(entry => entry.date.getTime()))));
+      const used = new Set(entries.flatMap(entry => entry.postings.map(posting => posting.account)));
+      for (const account of used) {
+        lines.push(`${firstDate} open ${account}`);
+      }
+      lines.push('');
+    }
 
-          // Fetch detailed item prices if requested
-          if (fetchItemPrices && includeItems) {
-            this.sendProgress({
-              detail: `Fetching item prices for order ${displayId}...`
-            });
+    for (const entry of entries) {
+      if (dialect === 'beancount') {
+        lines.push(`${isoDate(entry.date)} * ${quote(oneLine(entry.payee))} ${quote(entry.narration)}`);
+        lines.push(`  order-id: ${quote(entry.orderId)}`);
+        lines.push(`  order-type: ${quote(entry.orderType)}`);
+      } else {
+        lines.push(`${isoDate(entry.date)} * (${entry.code}) ${oneLine(entry.payee)}`);
+        lines.push(`${indent}; order-id: ${entry.orderId}`);
+        lines.push(`${indent}; order-type: ${entry.orderType}`);
+      }
 
-            const isStore = orderDetails.orderType === 'store';
-            const fetchResult = await this.fetchDetailedItems(orderDetails.orderId, isStore);
-            if (fetchResult) {
-              const { items: detailedItems, orderMeta } = fetchResult;
-              if (detailedItems && detailedItems.length > 0) {
-                orderDetails.items = detailedItems;
-                console.log('[Walmart Order Exporter] Updated order with', detailedItems.length, 'detailed items');
-              }
+      for (const item of entry.items) {
+        const price = item.price ? ` ${this.formatMoney(item.price)}` : '';
+        lines.push(`${indent}; item: ${oneLine(item.name)} x${item.quantity}${price}`);
+      }
 
-              // Update order fields from fetched metadata if available
-              if (orderMeta) {
-                if (orderMeta.orderDate && orderDetails.orderDate === 'Unknown') {
-                  // Normalize the date format (ISO timestamp -> "Jan 22, 2026")
-                  orderDetails.orderDate = this.formatDate(orderMeta.orderDate);
-                  console.log('[Walmart Order Exporter] Updated order date:', orderDetails.orderDate);
-                }
-                if (orderMeta.subtotal && !orderDetails.subtotal) {
-                  orderDetails.subtotal = orderMeta.subtotal;
-                }
-                if (orderMeta.tax && !orderDetails.tax) {
-                  orderDetails.tax = orderMeta.tax;
-                }
-                if (orderMeta.total && !orderDetails.total) {
-                  orderDetails.total = orderMeta.total;
-                }
-                // New fields from priceDetails
-                if (orderMeta.driverTip) {
-                  orderDetails.driverTip = orderMeta.driverTip;
-                }
-                if (orderMeta.associateDiscount) {
-                  orderDetails.associateDiscount = orderMeta.associateDiscount;
-                }
-                if (orderMeta.deliveryFee) {
-                  orderDetails.deliveryFee = orderMeta.deliveryFee;
-                }
-                if (orderMeta.expressFee) {
-                  orderDetails.expressFee = orderMeta.expressFee;
-                }
-              }
-            }
+      for (const posting of entry.postings) {
+        const flag = posting.pending ? '! ' : '';
+        const account = `${flag}${posting.account}`.padEnd(40);
+        const note = posting.pending ? '  ; unreconciled: parts do not sum to order total' : '';
+        lines.push(`${indent}${account}  ${formatAmount(posting.amount)}${note}`);
+      }
+      lines.push('');
+    }
 
-            // Rate limiting delay between fetches
-            await this.delay(500);
-          }
+    return lines.join('\n');
+  }
 
-          // Check date cutoff - but don't stop yet, check all orders on this page
-          let includeOrder = true;
-          if (cutoffDate && orderDetails.orderDate !== 'Unknown') {
-            const orderDate = new Date(orderDetails.orderDate);
-            console.log('[Walmart Order Exporter] Date check - Order:', orderDate.toDateString(), 'Cutoff:', cutoffDate.toDateString(), 'Include:', orderDate >= cutoffDate);
-            if (orderDate < cutoffDate) {
-              includeOrder = false;
-              reachedCutoff = true; // Mark that we've seen old orders, stop pagination after this page
-            }
-          }
+  /**
+   * Generate a SQL dump with CREATE TABLE statements for stores, orders and
+   * order_items, plus upserts for every collected order
+   * Re-importing a later export updates existing rows (keyed by order ID, and
+   * by order ID + line number for items) instead of duplicating them.
+   */
+  generateSQL() {
+    const exportedAt = new Date().toISOString();
+    const statements = [
+      `-- Walmart orders exported ${exportedAt}`,
+      '-- Compatible with SQLite 3.24+ and PostgreSQL 9.5+',
+      '',
+      SQL_SCHEMA,
+      '',
+      'BEGIN;',
+      ''
+    ];
 
-          // Check order type filter
-          if (includeOrder && orderTypeFilter !== 'all') {
-            if (orderTypeFilter === 'online' && orderDetails.orderType === 'store') {
-              includeOrder = false;
-              console.log('[Walmart Order Exporter] Skipped order (store order, filter is online only)');
-            } else if (orderTypeFilter === 'store' && orderDetails.orderType !== 'store') {
-              includeOrder = false;
-              console.log('[Walmart Order Exporter] Skipped order (online order, filter is store only)');
-            }
-          }
+    const stores = new Map();
+    for (const order of this.orders) {
+      const storeKey = this.getStoreKey(order.storeLocation);
+      if (storeKey && !stores.has(storeKey)) {
+        stores.set(storeKey, order.storeLocation);
+      }
+    }
 
-          if (includeOrder) {
-            this.orders.push(orderDetails);
-            console.log('[Walmart Order Exporter] Added order to export list');
-          } else if (!reachedCutoff) {
-            console.log('[Walmart Order Exporter] Skipped order (filtered out)');
-          } else {
-            console.log('[Walmart Order Exporter] Skipped order (outside date range)');
-          }
-          this.processedOrders++;
-        }
+    for (const [storeKey, location] of stores) {
+      statements.push(this.buildSQLUpsert('stores', {
+        store_key: storeKey,
+        name: location.name || null,
+        address: location.address || null,
+        store_number: location.storeNumber || null,
+        city: location.city || null,
+        state: location.state || null,
+        zip: location.zip || null,
+        phone: location.phone || null
+      }, ['store_key']));
+    }
 
-        // Check for next page
-        if (allPages && !reachedCutoff && this.hasNextPage() && this.isExporting) {
-          this.sendProgress({
-            detail: 'Moving to next page...'
-          });
+    for (const order of this.orders) {
+      const orderNumber = String(order.orderNumber || order.orderId);
+      const tcMatch = orderNumber.match(/^TC#\s*(\d[\d -]*\d)/);
+      const isoDate = this.formatOutputDate(order.orderDate, 'iso');
+      const cents = money => (money ? money.cents : null);
+
+      statements.push(this.buildSQLUpsert('orders', {
+        order_id: order.orderId,
+        order_number: orderNumber,
+        tc_number: tcMatch ? tcMatch[1] : null,
+        order_type: order.orderType === 'store' ? 'store' : 'online',
+        purchase_kind: this.getPurchaseKind(order),
+        order_date: /^\d{4}-\d{2}-\d{2}$/.test(isoDate) ? isoDate : null,
+        order_date_text: order.orderDate || null,
+        status: order.status || null,
+        subtotal_cents: cents(order.subtotal),
+        tax_cents: cents(order.tax),
+        total_cents: cents(order.total),
+        associate_discount_cents: cents(order.associateDiscount),
+        driver_tip_cents: cents(order.driverTip),
+        delivery_fee_cents: cents(order.deliveryFee),
+        express_fee_cents: cents(order.expressFee),
+        total_savings_cents: cents(this.getOrderSavings(order)),
+        refund_total_cents: cents(this.getRefundTotal(order)),
+        net_total_cents: cents(this.getNetTotal(order)),
+        cancelled: this.isOrderCancelled(order) ? 1 : 0,
+        currency: order.total?.currency || 'USD',
+        store_key: this.getStoreKey(order.storeLocation),
+        fulfillment_type: this.getFulfillmentType(order) || null,
+        pickup_store_name: order.fulfillment?.pickupStore?.name || null,
+        pickup_store_address: order.fulfillment?.pickupStore?.address || null,
+        delivery_address: order.fulfillment?.deliveryAddress || null,
+        scheduled_start: order.fulfillment?.scheduledStart || null,
+        scheduled_end: order.fulfillment?.scheduledEnd || null,
+        delivered_at: order.fulfillment?.deliveredAt || null,
+        register: order.storeReceipt?.register || null,
+        operator: order.storeReceipt?.operator || null,
+        transaction_number: order.storeReceipt?.transactionNumber || null,
+        transaction_time: order.storeReceipt?.transactionTime || null,
+        change_due_cents: cents(order.storeReceipt?.changeDue),
+        validation_status: order.validation?.status || null,
+        validation_issues: this.formatValidationIssues(order.validation) || null,
+        exported_at: exportedAt
+      }, ['order_id']));
+
+      const shipments = this.getShipments(order);
+      shipments.forEach((shipment, i) => {
+        statements.push(this.buildSQLUpsert('order_shipments', {
+          order_id: order.orderId,
+          shipment_number: i + 1,
+          shipment_id: shipment.id || null,
+          status: shipment.status || null,
+          delivered_date: shipment.deliveredDate || null,
+          fulfillment_type: shipment.fulfillmentType || null,
+          carrier: shipment.carrier || null,
+          tracking_number: shipment.trackingNumber || null,
+          tracking_url: shipment.trackingUrl || null,
+          seller: shipment.seller || null
+        }, ['order_id', 'shipment_number']));
+      });
 
-          const navigated = await this.goToNextPage();
-          if (!navigated) break;
+      const items = order.items || [];
+      const taxAllocation = this.getItemTaxAllocation(order);
+      items.forEach((item, i) => {
+        const shipmentIndex = this.getItemShipmentIndex(order, item);
+        statements.push(this.buildSQLUpsert('order_items', {
+          order_id: order.orderId,
+          line_number: i + 1,
+          shipment_number: shipmentIndex >= 0 ? shipmentIndex + 1 : null,
+          name: item.name,
+          quantity: Number.isFinite(item.quantity) ? item.quantity : null,
+          price_cents: cents(item.price),
+          taxable: typeof item.taxable === 'boolean' ? Number(item.taxable) : null,
+          tax_cents: cents(taxAllocation[i].tax),
+          tax_allocated: taxAllocation[i].taxAllocated ? 1 : 0,
+          total_with_tax_cents: cents(taxAllocation[i].total),
+          measured_quantity: Number.isFinite(item.measuredQuantity) ? item.measuredQuantity : null,
+          unit_of_measure: item.unitOfMeasure || null,
+          unit_price_cents: cents(item.unitPrice),
+          list_price_cents: cents(item.listPrice),
+          savings_cents: cents(this.getItemSavings(item)),
+          rollback: item.rollback ? 1 : 0,
+          clearance: item.clearance ? 1 : 0,
+          fulfillment_status: item.fulfillmentStatus || null,
+          requested_name: item.substitution?.requestedName || null,
+          requested_price_cents: cents(item.substitution?.requestedPrice),
+          return_status: item.returnStatus || null,
+          refund_cents: cents(item.refund?.amount),
+          refund_date: item.refund?.date || null,
+          refund_reason: item.refund?.reason || null,
+          seller: item.seller || null,
+          sold_by_walmart: typeof item.soldByWalmart === 'boolean' ? Number(item.soldByWalmart) : null,
+          fulfilled_by_walmart: typeof item.fulfilledByWalmart === 'boolean' ? Number(item.fulfilledByWalmart) : null,
+          currency: item.price?.currency || 'USD',
+          item_id: item.itemId || null,
+          us_item_id: item.usItemId || null,
+          upc: item.upc || null,
+          item_code: item.itemCode || null,
+          tax_code: item.taxCode || null,
+          brand: item.brand || null,
+          product_url: item.productUrl || null,
+          image_url: item.imageUrl || null
+        }, ['order_id', 'line_number']));
+      });
 
-          pageNum++;
-          // Small delay to let the page load
-          await this.delay(1000);
-        } else {
-          break;
-        }
-      }
+      const discounts = order.discounts || [];
+      discounts.forEach((discount, i) => {
+        statements.push(this.buildSQLUpsert('order_discounts', {
+          order_id: order.orderId,
+          line_number: i + 1,
+          label: discount.label,
+          discount_type: discount.type,
+          amount_cents: cents(discount.amount),
+          currency: discount.amount?.currency || 'USD'
+        }, ['order_id', 'line_number']));
+      });
 
-      this.sendProgress({
-        percent: 100,
-        label: 'Generating CSV...',
-        detail: `Processed ${this.orders.length} orders`
+      const payments = order.payments || [];
+      payments.forEach((payment, i) => {
+        statements.push(this.buildSQLUpsert('order_payments', {
+          order_id: order.orderId,
+          line_number: i + 1,
+          tender_type: payment.type || null,
+          last4: payment.last4 || null,
+          amount_cents: cents(payment.amount),
+          currency: payment.amount?.currency || 'USD'
+        }, ['order_id', 'line_number']));
       });
 
-      // Generate CSV
-      const csv = this.generateCSV(includeItems);
+      // Drop lines left over from an earlier export of the same order
+      statements.push(`DELETE FROM order_items WHERE order_id = ${this.sqlValue(order.orderId)} AND line_number > ${items.length};`);
+      statements.push(`DELETE FROM order_discounts WHERE order_id = ${this.sqlValue(order.orderId)} AND line_number > ${discounts.length};`);
+      statements.push(`DELETE FROM order_payments WHERE order_id = ${this.sqlValue(order.orderId)} AND line_number > ${payments.length};`);
+      statements.push(`DELETE FROM order_shipments WHERE order_id = ${this.sqlValue(order.orderId)} AND shipment_number > ${shipments.length};`);
+      statements.push('');
+    }
 
-      const itemCount = this.orders.reduce((sum, order) => sum + (order.items?.length || 0), 0);
+    statements.push('COMMIT;', '');
+    return statements.join('\n');
+  }
 
-      console.log('[Walmart Order Exporter] Export complete:', this.orders.length, 'orders,', itemCount, 'items');
-      console.log('[Walmart Order Exporter] CSV length:', csv.length, 'chars');
+  /**
+   * Generate a self-contained HTML report with one printable receipt per order
+   * Each receipt starts on a new page when printed (e.g. "Save as PDF").
+   */
+  generateReceiptReport() {
+    const receipts = this.orders.map(order => this.buildReceiptHTML(order));
+    const exportedAt = new Date().toLocaleString();
+
+    return '<!DOCTYPE html>\n' +
+      '<html lang="en">\n<head>\n<meta charset="UTF-8">\n' +
+      `<title>Walmart receipts - ${this.escapeXML(exportedAt)}</title>\n` +
+      `<style>${RECEIPT_REPORT_CSS}</style>\n</head>\n<body>\n` +
+      `<div class="toolbar">${this.orders.length} orders exported ${this.escapeXML(exportedAt)}. ` +
+      'Use your browser\'s Print command and choose "Save as PDF" to create a PDF.</div>\n' +
+      receipts.join('\n') +
+      '\n</body>\n</html>\n';
+  }
 
-      return {
-        success: true,
-        csv,
-        orderCount: this.orders.length,
-        itemCount
-      };
+  /**
+   * Render one order as a receipt section
+   */
+  buildReceiptHTML(order) {
+    const esc = value => this.escapeXML(value ?? '');
+    const isStore = order.orderType === 'store';
+    const orderNumber = String(order.orderNumber || order.orderId);
+    const storeLocation = this.formatStoreLocation(order.storeLocation);
+
+    const receipt = order.storeReceipt;
+    const storeNumber = order.storeLocation?.storeNumber;
+
+    const meta = [
+      `<div>${isStore ? 'Transaction' : 'Order'}: <strong>${esc(orderNumber)}</strong></div>`,
+      `<div>Date: ${esc(order.orderDate)}${receipt?.transactionTime ? ` ${esc(receipt.transactionTime)}` : ''}</div>`,
+      `<div>Status: ${esc(order.status)}</div>`
+    ];
+    if (storeLocation) {
+      meta.push(`<div>Store${storeNumber ? ` #${esc(storeNumber)}` : ''}: ${esc(storeLocation)}` +
+        `${order.storeLocation?.phone ? ` &middot; ${esc(order.storeLocation.phone)}` : ''}</div>`);
+    }
+    if (receipt?.register || receipt?.operator) {
+      const register = [
+        receipt.register ? `Register ${esc(receipt.register)}` : '',
+        receipt.operator ? `Operator ${esc(receipt.operator)}` : ''
+      ].filter(Boolean).join(', ');
+      meta.push(`<div>${register}</div>`);
+    }
 
-    } catch (error) {
-      console.error('[Walmart Order Exporter] Export error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    } finally {
-      this.isExporting = false;
+    const fulfillmentType = this.getFulfillmentType(order);
+    const destination = this.formatStoreLocation(order.fulfillment?.pickupStore) || order.fulfillment?.deliveryAddress;
+    if (fulfillmentType && fulfillmentType !== 'in-store') {
+      const label = fulfillmentType.charAt(0).toUpperCase() + fulfillmentType.slice(1);
+      meta.push(`<div>${label}${destination ? `: ${esc(destination)}` : ''}</div>`);
+    }
+    if (order.fulfillment?.deliveredAt) {
+      meta.push(`<div>Delivered: ${esc(order.fulfillment.deliveredAt)}</div>`);
     }
+
+    const items = order.items || [];
+    const itemRows = items.length > 0
+      ? items.map(item => '<tr>' +
+          `<td>${esc(item.name)}${item.returnStatus ? ` <em>(${esc(item.returnStatus)})</em>` : ''}` +
+          (item.unitOfMeasure && item.unitPrice
+            ? `<br><small>${item.measuredQuantity != null ? `${item.measuredQuantity} ${esc(item.unitOfMeasure)} @ ` : ''}` +
+              `${esc(this.formatMoney(item.unitPrice))}/${esc(item.unitOfMeasure)}</small>`
+            : '') +
+          (item.seller && this.isMarketplaceItem(order, item) ? `<br><small>Sold by ${esc(item.seller)}</small>` : '') +
+          '</td>' +
+          `<td class="num">${esc(item.quantity)}</td>` +
+          `<td class="num">${esc(this.formatMoney(item.price))}</td>` +
+          '</tr>').join('')
+      : '<tr><td class="empty" colspan="3">No items found</td></tr>';
+
+    // Itemized discounts replace the single associate discount line when available
+    const discounts = order.discounts?.length
+      ? order.discounts.map(d => [d.label, d.amount])
+      : [['Associate discount', order.associateDiscount]];
+
+    const breakdown = [
+      ['Subtotal', order.subtotal],
+      ...discounts,
+      ['Delivery fee', order.deliveryFee],
+      ['Express fee', order.expressFee],
+      ['Driver tip', order.driverTip],
+      ['Tax', order.tax]
+    ]
+      .filter(([, money]) => money)
+      .map(([label, money]) => `<tr><td>${esc(label)}</td><td class="num">${esc(this.formatMoney(money))}</td></tr>`)
+      .join('');
+
+    const savings = this.getOrderSavings(order);
+    const refundTotal = this.getRefundTotal(order);
+
+    return '<section class="receipt">' +
+      `<h1>${esc(order.storeLocation?.name || (isStore ? 'Walmart' : 'Walmart.com'))}</h1>` +
+      `<div class="meta">${meta.join('')}</div>` +
+      '<table><thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Price</th></tr></thead>' +
+      `<tbody>${itemRows}</tbody></table>` +
+      '<table class="summary"><tbody>' +
+      breakdown +
+      `<tr class="total"><td>Total</td><td class="num">${esc(this.formatMoney(order.total) || 'Unknown')}</td></tr>` +
+      (refundTotal ? `<tr><td>Refunded</td><td class="num">${esc(this.formatMoney(refundTotal))}</td></tr>` +
+        `<tr class="total"><td>Net total</td><td class="num">${esc(this.formatMoney(this.getNetTotal(order)))}</td></tr>` : '') +
+      (savings?.cents ? `<tr><td>You saved</td><td class="num">${esc(this.formatMoney(savings))}</td></tr>` : '') +
+      (order.payments || []).map(payment =>
+        `<tr><td>${esc(this.formatTenderName(payment))}</td>` +
+        `<td class="num">${esc(this.formatMoney(payment.amount))}</td></tr>`
+      ).join('') +
+      (receipt?.changeDue ? `<tr><td>Change due</td><td class="num">${esc(this.formatMoney(receipt.changeDue))}</td></tr>` : '') +
+      '</tbody></table>' +
+      '</section>';
   }
 
   /**
-   * Format store location for CSV output
+   * Stable key for a store location, or null when the location is unknown
    */
-  formatStoreLocation(storeLocation) {
-    if (!storeLocation) return '';
-    const parts = [];
-    if (storeLocation.name) parts.push(storeLocation.name);
-    if (storeLocation.address) parts.push(storeLocation.address);
-    return parts.join(' - ');
+  getStoreKey(storeLocation) {
+    const name = storeLocation?.name?.trim() || '';
+    const address = storeLocation?.address?.trim() || '';
+    if (!name && !address) return null;
+    return `${name} | ${address}`;
   }
 
   /**
-   * Generate CSV from collected orders
+   * Build an INSERT ... ON CONFLICT DO UPDATE statement for one row
+   * @param {string} table - Table name
+   * @param {Object} row - Column name to value map
+   * @param {string[]} keyColumns - Primary key columns used as the conflict target
    */
-  generateCSV(includeItems = true) {
-    const rows = [];
+  buildSQLUpsert(table, row, keyColumns) {
+    const columns = Object.keys(row);
+    const values = columns.map(column => this.sqlValue(row[column]));
+    const updates = columns
+      .filter(column => !keyColumns.includes(column))
+      .map(column => `${column} = excluded.${column}`);
+
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${values.join(', ')})` +
+      ` ON CONFLICT (${keyColumns.join(', ')}) DO ` +
+      (updates.length > 0 ? `UPDATE SET ${updates.join(', ')};` : 'NOTHING;');
+  }
 
-    if (includeItems) {
-      // Header for detailed export (new columns added at end for backward compatibility)
-      rows.push([
-        'Order Number',
-        'Order Date',
-        'Status',
-        'Item Name',
-        'Item Price',
-        'Quantity',
-        'Subtotal',
-        'Tax',
-        'Order Total',
-        'Order Type',
-        'Associate Discount',
-        'Driver Tip',
-        'Delivery Fee',
-        'Express Fee',
-        'Store Location'
-      ].join(','));
-
-      // Data rows
-      for (const order of this.orders) {
-        const orderType = order.orderType === 'store' ? 'Store' : 'Online';
-        const storeLocation = this.formatStoreLocation(order.storeLocation);
-
-        if (order.items && order.items.length > 0) {
-          for (const item of order.items) {
-            rows.push([
-              this.escapeCSV(order.orderNumber || order.orderId),
-              this.escapeCSV(order.orderDate),
-              this.escapeCSV(order.status),
-              this.escapeCSV(item.name),
-              this.escapeCSV(item.price),
-              item.quantity,
-              this.escapeCSV(order.subtotal),
-              this.escapeCSV(order.tax),
-              this.escapeCSV(order.total),
-              this.escapeCSV(orderType),
-              this.escapeCSV(order.associateDiscount || ''),
-              this.escapeCSV(order.driverTip || ''),
-              this.escapeCSV(order.deliveryFee || ''),
-              this.escapeCSV(order.expressFee || ''),
-              this.escapeCSV(storeLocation)
-            ].join(','));
-          }
-        } else {
-          // Order with no items parsed
-          rows.push([
-            this.escapeCSV(order.orderNumber || order.orderId),
-            this.escapeCSV(order.orderDate),
-            this.escapeCSV(order.status),
-            'No items found',
-            '',
-            '',
-            this.escapeCSV(order.subtotal),
-            this.escapeCSV(order.tax),
-            this.escapeCSV(order.total),
-            this.escapeCSV(orderType),
-            this.escapeCSV(order.associateDiscount || ''),
-            this.escapeCSV(order.driverTip || ''),
-            this.escapeCSV(order.deliveryFee || ''),
-            this.escapeCSV(order.expressFee || ''),
-            this.escapeCSV(storeLocation)
-          ].join(','));
-        }
-      }
-    } else {
-      // Header for summary export (new columns added at end)
-      rows.push([
-        'Order Number',
-        'Order Date',
-        'Status',
-        'Item Count',
-        'Subtotal',
-        'Tax',
-        'Order Total',
-        'Order Type',
-        'Associate Discount',
-        'Driver Tip',
-        'Delivery Fee',
-        'Express Fee',
-        'Store Location'
-      ].join(','));
-
-      // Data rows
-      for (const order of this.orders) {
-        const orderType = order.orderType === 'store' ? 'Store' : 'Online';
-        const storeLocation = this.formatStoreLocation(order.storeLocation);
-
-        rows.push([
-          this.escapeCSV(order.orderNumber || order.orderId),
-          this.escapeCSV(order.orderDate),
-          this.escapeCSV(order.status),
-          order.items?.length || 0,
-          this.escapeCSV(order.subtotal),
-          this.escapeCSV(order.tax),
-          this.escapeCSV(order.total),
-          this.escapeCSV(orderType),
-          this.escapeCSV(order.associateDiscount || ''),
-          this.escapeCSV(order.driverTip || ''),
-          this.escapeCSV(order.deliveryFee || ''),
-          this.escapeCSV(order.expressFee || ''),
-          this.escapeCSV(storeLocation)
-        ].join(','));
-      }
-    }
-
-    return rows.join('\n');
+  /**
+   * Render a JavaScript value as a SQL literal
+   */
+  sqlValue(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return `'${String(value).replace(/'/g, "''")}'`;
   }
 
   /**
    * Escape a value for CSV
+   * @param {*} value - Cell value
+   * @param {string} delimiter - Field delimiter in use
    */
-  escapeCSV(value) {
+  escapeCSV(value, delimiter = ',') {
     if (value === null || value === undefined) return '';
 
-    const str = String(value);
+    let str = String(value);
+
+    // Neutralize text that a spreadsheet would run as a formula (=, +, -, @, tab, CR),
+    // but leave plain numbers and amounts such as "-3.00" or "-$3,00" alone
+    if (/^[=+\-@\t\r]/.test(str) && !/^[-+]?\$?\d[\d.,]*$/.test(str)) {
+      str = `'${str}`;
+    }
 
-    // If contains comma, quote, or newline, wrap in quotes and escape internal quotes
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    // If contains the delimiter, quote, or a line break, wrap in quotes and escape internal quotes
+    if (str.includes(delimiter) || str.includes('"') || str.includes('\n') || str.includes('\r')) {
       return `"${str.replace(/"/g, '""')}"`;
     }
 
@@ -2016,6 +6268,7 @@ class WalmartOrderExporter {
    */
   stopExport() {
     this.isExporting = false;
+    this.scheduler.clear();
   }
 }
 
@@ -2026,33 +6279,55 @@ const exporter = new WalmartOrderExporter();
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'START_EXPORT') {
     // Run export asynchronously
-    exporter.exportOrders(request.options)
-      .then(result => {
-        // Trigger download directly from content script (more reliable)
-        if (result.success && result.csv && result.orderCount > 0) {
-          const date = new Date().toISOString().split('T')[0];
-          const filename = `walmart_orders_${date}.csv`;
-          triggerDownload(result.csv, filename);
-        }
-        sendResponse(result);
-      })
-      .catch(error => {
-        sendResponse({
-          success: false,
-          error: error.message
-        });
-      });
+    respondWithExport(exporter.exportOrders(request.options), sendResponse);
 
     // Return true to indicate async response
     return true;
   }
 
+  if (request.type === 'RETRY_FAILED_ORDERS') {
+    respondWithExport(exporter.retryFailedOrders(), sendResponse);
+    return true;
+  }
+
   if (request.type === 'STOP_EXPORT') {
     exporter.stopExport();
     sendResponse({ success: true });
     return false;
   }
 
+  if (request.type === 'GET_CSV_COLUMNS') {
+    sendResponse({
+      columns: exporter.getCSVColumns().map(({ key, header, scope }) => ({ key, header, scope })),
+      defaults: DEFAULT_CSV_LAYOUT
+    });
+    return false;
+  }
+
+  if (request.type === 'GET_CHECKPOINT') {
+    // The popup only needs a summary, not the saved orders
+    exporter.loadCheckpointState().then(checkpoint => {
+      sendResponse({
+        checkpoint: checkpoint && {
+          orderCount: checkpoint.orderCount,
+          pageNum: checkpoint.pageNum,
+          savedAt: checkpoint.savedAt
+        }
+      });
+    });
+    return true;
+  }
+
+  if (request.type === 'DISCARD_CHECKPOINT') {
+    exporter.clearCheckpoint().then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (request.type === 'GET_LEDGER_ACCOUNTS') {
+    sendResponse({ accounts: DEFAULT_LEDGER_ACCOUNTS });
+    return false;
+  }
+
   if (request.type === 'CHECK_PAGE') {
     sendResponse({
       isOrdersPage: window.location.href.includes('/orders')
@@ -2061,13 +6336,38 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+/**
+ * Download the file of a finished export and send its summary to the popup
+ */
+function respondWithExport(exportPromise, sendResponse) {
+  exportPromise
+    .then(result => {
+      // Trigger download directly from content script (more reliable)
+      const { content, ...response } = result;
+      if (result.success && content && result.orderCount > 0) {
+        const format = EXPORT_FORMATS[result.format];
+        const date = new Date().toISOString().split('T')[0];
+        const filename = `${format.fileBaseName || 'walmart_orders'}_${date}.${format.extension}`;
+        triggerDownload(content, filename, format.mimeType);
+      }
+      // The popup only needs the summary, not the file content
+      sendResponse(response);
+    })
+    .catch(error => {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    });
+}
+
 /**
  * Trigger download directly from content script
  */
-function triggerDownload(csvContent, filename) {
-  console.log('[Walmart Order Exporter] Triggering download:', filename, 'size:', csvContent.length);
+function triggerDownload(content, filename, mimeType = 'text/csv;charset=utf-8;') {
+  console.log('[Walmart Order Exporter] Triggering download:', filename, 'size:', content.length);
 
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  const blob = new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
 
   const link = document.createElement('a');
@@ -3,12 +3,22 @@
  * Handles UI interactions and communicates with content script
  */
 
+/**
+ * Export formats that use the ledger account mapping
+ */
+const JOURNAL_FORMATS = ['ledger', 'hledger', 'beancount'];
+
 class PopupController {
   constructor() {
     this.isExporting = false;
+    // DEFAULT_LEDGER_ACCOUNTS from the content script, null until it has answered
+    this.defaultAccountMap = null;
     this.initElements();
     this.bindEvents();
     this.checkCurrentPage();
+    this.loadAccountMapping();
+    this.loadColumnLayout();
+    this.loadCheckpoint();
   }
 
   initElements() {
@@ -17,12 +27,40 @@ class PopupController {
     this.stopBtn = document.getElementById('stopBtn');
     this.reloadBtn = document.getElementById('reloadBtn');
 
+    // Resume
+    this.resumeGroup = document.getElementById('resumeGroup');
+    this.resumeExportCheckbox = document.getElementById('resumeExport');
+    this.resumeDescription = document.getElementById('resumeDescription');
+    this.discardCheckpointBtn = document.getElementById('discardCheckpointBtn');
+
     // Options
     this.includeItemsCheckbox = document.getElementById('includeItems');
     this.fetchItemPricesCheckbox = document.getElementById('fetchItemPrices');
+    this.excludeCancelledCheckbox = document.getElementById('excludeCancelled');
     this.allPagesCheckbox = document.getElementById('allPages');
+    this.paginationModeSelect = document.getElementById('paginationMode');
+    this.concurrencySelect = document.getElementById('concurrency');
     this.dateRangeSelect = document.getElementById('dateRange');
     this.orderTypeSelect = document.getElementById('orderType');
+    this.purchaseKindSelect = document.getElementById('purchaseKind');
+    this.exportFormatSelect = document.getElementById('exportFormat');
+    this.accountMappingGroup = document.getElementById('accountMappingGroup');
+    this.accountMappingInput = document.getElementById('accountMapping');
+
+    // CSV output options
+    this.csvOptionsGroup = document.getElementById('csvOptionsGroup');
+    this.csvDelimiterSelect = document.getElementById('csvDelimiter');
+    this.csvDecimalSeparatorSelect = document.getElementById('csvDecimalSeparator');
+    this.csvDateFormatSelect = document.getElementById('csvDateFormat');
+    this.csvBomCheckbox = document.getElementById('csvBom');
+    this.csvCrlfCheckbox = document.getElementById('csvCrlf');
+
+    // CSV column editor
+    this.columnLayoutGroup = document.getElementById('columnLayoutGroup');
+    this.columnLayoutModeSelect = document.getElementById('columnLayoutMode');
+    this.columnList = document.getElementById('columnList');
+    this.columnEditorHint = document.getElementById('columnEditorHint');
+    this.resetColumnsBtn = document.getElementById('resetColumnsBtn');
 
     // Progress
     this.progressSection = document.getElementById('progressSection');
@@ -36,6 +74,13 @@ class PopupController {
     this.successCard = document.getElementById('successCard');
     this.errorCard = document.getElementById('errorCard');
     this.resultSummary = document.getElementById('resultSummary');
+    this.validationSummary = document.getElementById('validationSummary');
+    this.validationIssues = document.getElementById('validationIssues');
+    this.requestSummary = document.getElementById('requestSummary');
+    this.failedOrdersGroup = document.getElementById('failedOrdersGroup');
+    this.failedOrdersSummary = document.getElementById('failedOrdersSummary');
+    this.failedOrdersList = document.getElementById('failedOrdersList');
+    this.retryFailedBtn = document.getElementById('retryFailedBtn');
     this.errorMessage = document.getElementById('errorMessage');
 
     // Banner
@@ -47,6 +92,12 @@ class PopupController {
     this.exportBtn.addEventListener('click', () => this.startExport());
     this.stopBtn.addEventListener('click', () => this.stopExport());
     this.reloadBtn.addEventListener('click', () => this.reloadContentScript());
+    this.exportFormatSelect.addEventListener('change', () => this.updateFormatOptions());
+    this.accountMappingInput.addEventListener('change', () => this.saveAccountMapping());
+    this.columnLayoutModeSelect.addEventListener('change', () => this.renderColumnEditor());
+    this.resetColumnsBtn.addEventListener('click', () => this.resetColumnLayout());
+    this.discardCheckpointBtn.addEventListener('click', () => this.discardCheckpoint());
+    this.retryFailedBtn.addEventListener('click', () => this.retryFailedOrders());
 
     // Listen for progress updates from content script
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -105,6 +156,269 @@ class PopupController {
     }
   }
 
+  /**
+   * Show format-specific options for the selected export format
+   */
+  updateFormatOptions() {
+    const isJournal = JOURNAL_FORMATS.includes(this.exportFormatSelect.value);
+    this.accountMappingGroup.style.display = isJournal ? 'block' : 'none';
+    const isCSV = this.exportFormatSelect.value === 'csv';
+    const isDelimited = isCSV || ['shipments', 'substitutions'].includes(this.exportFormatSelect.value);
+    this.csvOptionsGroup.style.display = isDelimited ? 'block' : 'none';
+    this.columnLayoutGroup.style.display = isCSV ? 'block' : 'none';
+  }
+
+  /**
+   * Load the saved CSV column layout and the column catalog from the content script
+   */
+  async loadColumnLayout() {
+    try {
+      const { csvColumnLayout } = await chrome.storage.local.get('csvColumnLayout');
+      this.columnLayout = csvColumnLayout || {};
+    } catch (error) {
+      console.error('Error loading column layout:', error);
+      this.columnLayout = {};
+    }
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_CSV_COLUMNS' });
+      this.columnCatalog = response.columns;
+      this.defaultColumnLayout = response.defaults;
+    } catch (error) {
+      // Content script isn't available (wrong page or not yet injected)
+      this.columnCatalog = null;
+    }
+
+    this.columnLayoutModeSelect.value = this.includeItemsCheckbox.checked ? 'detailed' : 'summary';
+    this.renderColumnEditor();
+  }
+
+  /**
+   * Render the column list for the selected layout mode
+   * Included columns come first in their saved order, followed by the rest of the catalog
+   */
+  renderColumnEditor() {
+    this.columnList.replaceChildren();
+
+    if (!this.columnCatalog) {
+      this.columnEditorHint.textContent = 'Open walmart.com/orders to customize columns.';
+      this.columnLayoutModeSelect.disabled = true;
+      this.resetColumnsBtn.disabled = true;
+      return;
+    }
+
+    const mode = this.columnLayoutModeSelect.value;
+    const available = this.columnCatalog.filter(column => mode === 'detailed' || column.scope !== 'item');
+    const byKey = new Map(available.map(column => [column.key, column]));
+
+    const saved = Array.isArray(this.columnLayout[mode]) && this.columnLayout[mode].length > 0
+      ? this.columnLayout[mode]
+      : this.defaultColumnLayout[mode].map(key => ({ key }));
+    const included = saved.filter(entry => byKey.has(entry.key));
+    const includedKeys = new Set(included.map(entry => entry.key));
+
+    for (const entry of included) {
+      this.columnList.appendChild(this.createColumnRow(byKey.get(entry.key), entry.header, true));
+    }
+    for (const column of available) {
+      if (!includedKeys.has(column.key)) {
+        this.columnList.appendChild(this.createColumnRow(column, '', false));
+      }
+    }
+
+    this.updateMoveButtons();
+  }
+
+  /**
+   * Create one editable row of the column list
+   */
+  createColumnRow(column, header, included) {
+    const row = document.createElement('li');
+    row.className = included ? 'column-row' : 'column-row excluded';
+    row.dataset.key = column.key;
+    row.title = column.key;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = included;
+    checkbox.addEventListener('change', () => {
+      row.classList.toggle('excluded', !checkbox.checked);
+      this.saveColumnLayout();
+    });
+
+    const headerInput = document.createElement('input');
+    headerInput.type = 'text';
+    headerInput.className = 'column-header-input';
+    headerInput.placeholder = column.header;
+    headerInput.value = header || '';
+    headerInput.addEventListener('change', () => this.saveColumnLayout());
+
+    const upBtn = document.createElement('button');
+    upBtn.type = 'button';
+    upBtn.className = 'column-move-btn';
+    upBtn.textContent = '▲';
+    upBtn.title = 'Move up';
+    upBtn.addEventListener('click', () => this.moveColumnRow(row, -1));
+
+    const downBtn = document.createElement('button');
+    downBtn.type = 'button';
+    downBtn.className = 'column-move-btn';
+    downBtn.textContent = '▼';
+    downBtn.title = 'Move down';
+    downBtn.addEventListener('click', () => this.moveColumnRow(row, 1));
+
+    row.append(checkbox, headerInput, upBtn, downBtn);
+    return row;
+  }
+
+  /**
+   * Move a column row up (-1) or down (1) and save the new order
+   */
+  moveColumnRow(row, direction) {
+    const sibling = direction < 0 ? row.previousElementSibling : row.nextElementSibling;
+    if (!sibling) return;
+
+    if (direction < 0) {
+      this.columnList.insertBefore(row, sibling);
+    } else {
+      this.columnList.insertBefore(sibling, row);
+    }
+
+    this.updateMoveButtons();
+    this.saveColumnLayout();
+  }
+
+  /**
+   * Disable the arrows that would move a row past either end of the list
+   */
+  updateMoveButtons() {
+    const rows = Array.from(this.columnList.children);
+    rows.forEach((row, i) => {
+      const [upBtn, downBtn] = row.querySelectorAll('.column-move-btn');
+      upBtn.disabled = i === 0;
+      downBtn.disabled = i === rows.length - 1;
+    });
+  }
+
+  /**
+   * Read the column list back into a layout and persist it
+   */
+  async saveColumnLayout() {
+    const mode = this.columnLayoutModeSelect.value;
+    this.columnLayout[mode] = Array.from(this.columnList.children)
+      .filter(row => row.querySelector('input[type="checkbox"]').checked)
+      .map(row => {
+        const header = row.querySelector('.column-header-input').value.trim();
+        return header ? { key: row.dataset.key, header } : { key: row.dataset.key };
+      });
+
+    try {
+      await chrome.storage.local.set({ csvColumnLayout: this.columnLayout });
+    } catch (error) {
+      console.error('Error saving column layout:', error);
+    }
+  }
+
+  /**
+   * Restore the default columns for the selected layout mode
+   */
+  async resetColumnLayout() {
+    delete this.columnLayout[this.columnLayoutModeSelect.value];
+
+    try {
+      await chrome.storage.local.set({ csvColumnLayout: this.columnLayout });
+    } catch (error) {
+      console.error('Error saving column layout:', error);
+    }
+
+    this.renderColumnEditor();
+  }
+
+  /**
+   * Offer to resume an export that was stopped or interrupted before it finished
+   */
+  async loadCheckpoint() {
+    let checkpoint = null;
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_CHECKPOINT' });
+      checkpoint = response?.checkpoint || null;
+    } catch (error) {
+      // Content script isn't available (wrong page or not yet injected), so there is nothing to resume
+    }
+
+    this.hasCheckpoint = !!checkpoint;
+    if (checkpoint) {
+      const savedAt = new Date(checkpoint.savedAt).toLocaleString();
+      this.resumeDescription.textContent = `${checkpoint.orderCount} orders collected through page ${checkpoint.pageNum}, saved ${savedAt}. Continues with the options of that export.`;
+    }
+    this.resumeGroup.style.display = checkpoint ? 'block' : 'none';
+  }
+
+  /**
+   * Delete the saved checkpoint so the next export starts over
+   */
+  async discardCheckpoint() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      await chrome.tabs.sendMessage(tab.id, { type: 'DISCARD_CHECKPOINT' });
+    } catch (error) {
+      console.error('Error discarding checkpoint:', error);
+    }
+    this.loadCheckpoint();
+  }
+
+  /**
+   * Load the saved ledger account mapping into the editor
+   */
+  async loadAccountMapping() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_LEDGER_ACCOUNTS' });
+      this.defaultAccountMap = response.accounts;
+    } catch (error) {
+      // Content script isn't available (wrong page or not yet injected); show the saved fields only
+      this.defaultAccountMap = null;
+    }
+
+    try {
+      const { ledgerAccountMap } = await chrome.storage.local.get('ledgerAccountMap');
+      const accountMap = { ...(this.defaultAccountMap || {}), ...(ledgerAccountMap || {}) };
+      this.accountMappingInput.value = Object.entries(accountMap)
+        .map(([field, account]) => `${field} = ${account}`)
+        .join('\n');
+    } catch (error) {
+      console.error('Error loading account mapping:', error);
+    }
+  }
+
+  /**
+   * Persist the account mapping editor contents
+   */
+  async saveAccountMapping() {
+    try {
+      await chrome.storage.local.set({ ledgerAccountMap: this.parseAccountMapping() });
+    } catch (error) {
+      console.error('Error saving account mapping:', error);
+    }
+  }
+
+  /**
+   * Parse "field = Account" lines from the account mapping editor
+   */
+  parseAccountMapping() {
+    const accountMap = {};
+    for (const line of this.accountMappingInput.value.split('\n')) {
+      const match = line.match(/^\s*(\w+)\s*=\s*(.+?)\s*$/);
+      // Unknown fields are dropped here when the defaults are known, and by the content script otherwise
+      if (match && (!this.defaultAccountMap || match[1] in this.defaultAccountMap)) {
+        accountMap[match[1]] = match[2];
+      }
+    }
+    return accountMap;
+  }
+
   showBanner(message, type = 'info') {
     this.bannerText.textContent = message;
     this.pageBanner.className = `status-banner ${type}`;
@@ -124,8 +438,25 @@ class PopupController {
       fetchItemPrices: this.fetchItemPricesCheckbox.checked,
       // If "current page only" is selected, override allPages to false
       allPages: isCurrentPageOnly ? false : this.allPagesCheckbox.checked,
+      paginationMode: this.paginationModeSelect.value,
       dateRange: isCurrentPageOnly ? 'all' : (dateRangeValue === 'all' ? 'all' : parseInt(dateRangeValue)),
-      orderTypeFilter: this.orderTypeSelect.value
+      orderTypeFilter: this.orderTypeSelect.value,
+      purchaseKindFilter: this.purchaseKindSelect.value,
+      resume: this.hasCheckpoint && this.resumeExportCheckbox.checked,
+      excludeCancelled: this.excludeCancelledCheckbox.checked,
+      format: this.exportFormatSelect.value,
+      requestOptions: {
+        concurrency: parseInt(this.concurrencySelect.value)
+      },
+      accountMap: this.parseAccountMapping(),
+      columnLayout: this.columnLayout || {},
+      csvOptions: {
+        delimiter: this.csvDelimiterSelect.value === 'tab' ? '\t' : this.csvDelimiterSelect.value,
+        decimalSeparator: this.csvDecimalSeparatorSelect.value,
+        dateFormat: this.csvDateFormatSelect.value,
+        bom: this.csvBomCheckbox.checked,
+        crlf: this.csvCrlfCheckbox.checked
+      }
     };
   }
 
@@ -164,6 +495,37 @@ class PopupController {
     } catch (error) {
       console.error('[Popup] Export error:', error);
       this.showError(error.message);
+    } finally {
+      this.isExporting = false;
+      this.showIdleState();
+      this.loadCheckpoint();
+    }
+  }
+
+  /**
+   * Fetch the orders that failed in the last export again; the content script
+   * downloads the regenerated file
+   */
+  async retryFailedOrders() {
+    if (this.isExporting) return;
+
+    this.isExporting = true;
+    this.showExportingState();
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+      console.log('[Popup] Sending RETRY_FAILED_ORDERS');
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'RETRY_FAILED_ORDERS' });
+
+      if (response && response.success) {
+        this.showSuccess(response);
+      } else {
+        throw new Error(response?.error || 'Retry failed');
+      }
+    } catch (error) {
+      console.error('[Popup] Retry error:', error);
+      this.showError(error.message);
     } finally {
       this.isExporting = false;
       this.showIdleState();
@@ -233,6 +595,68 @@ class PopupController {
     const itemCount = response.itemCount || 0;
 
     this.resultSummary.textContent = `Exported ${orderCount} orders with ${itemCount} items`;
+    if (response.stopped) {
+      this.resultSummary.textContent += '. The export was stopped; resume it next time to collect the rest.';
+    }
+    this.showValidationSummary(response.validation);
+    this.showRequestSummary(response);
+  }
+
+  /**
+   * Summarize the validation pass: orders per status and the count of each issue
+   */
+  showValidationSummary(validation) {
+    this.validationIssues.replaceChildren();
+
+    if (!validation) {
+      this.validationSummary.style.display = 'none';
+      this.validationIssues.style.display = 'none';
+      return;
+    }
+
+    const parts = [`${validation.ok} OK`];
+    if (validation.warning) parts.push(`${validation.warning} with warnings`);
+    if (validation.error) parts.push(`${validation.error} with errors`);
+    this.validationSummary.textContent = `Validation: ${parts.join(', ')}`;
+    this.validationSummary.className = `validation-summary ${validation.error ? 'error' : (validation.warning ? 'warning' : 'ok')}`;
+    this.validationSummary.style.display = 'block';
+
+    for (const issue of validation.issues) {
+      const entry = document.createElement('li');
+      entry.className = issue.severity;
+      entry.textContent = `${issue.label}: ${issue.count}`;
+      this.validationIssues.appendChild(entry);
+    }
+    this.validationIssues.style.display = validation.issues.length > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Summarize the requests made and list the orders that still could not be fetched
+   * Retrying is offered once the export has finished; a stopped export is resumed instead.
+   */
+  showRequestSummary(response) {
+    const stats = response.requestStats;
+    if (stats?.requests) {
+      const parts = [`${stats.requests} requests`];
+      if (stats.retried) parts.push(`${stats.retried} retried`);
+      if (stats.failed) parts.push(`${stats.failed} failed`);
+      this.requestSummary.textContent = parts.join(', ');
+      this.requestSummary.style.display = 'block';
+    } else {
+      this.requestSummary.style.display = 'none';
+    }
+
+    const failedOrders = response.failedOrders || [];
+    this.failedOrdersList.replaceChildren();
+    for (const { orderId, error } of failedOrders) {
+      const entry = document.createElement('li');
+      entry.className = 'error';
+      entry.textContent = error ? `${orderId}: ${error}` : orderId;
+      this.failedOrdersList.appendChild(entry);
+    }
+    this.failedOrdersSummary.textContent = `${failedOrders.length} ${failedOrders.length === 1 ? 'order' : 'orders'} could not be fetched`;
+    this.retryFailedBtn.style.display = response.stopped ? 'none' : 'inline-block';
+    this.failedOrdersGroup.style.display = failedOrders.length > 0 ? 'block' : 'none';
   }
 
   showError(message) {
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExporter, plain } = require('./helpers/load-content');
+
+const STATE = { options: { dateRange: 'all' }, listUrl: 'https://www.walmart.com/orders', pagination: 'fetch' };
+
+test('each checkpoint save writes only the orders added since the last one', async () => {
+  const storage = {};
+  const exporter = loadExporter(storage);
+
+  exporter.orders = [exporter.createEmptyOrder('101'), exporter.createEmptyOrder('102')];
+  await exporter.saveCheckpoint({ ...STATE, pageNum: 1, listedOrderIds: ['101', '102'] });
+  exporter.orders.push(exporter.createEmptyOrder('201'));
+  await exporter.saveCheckpoint({ ...STATE, pageNum: 2, listedOrderIds: ['101', '102', '201'] });
+  // A page without new orders saves no chunk
+  await exporter.saveCheckpoint({ ...STATE, pageNum: 3, listedOrderIds: ['101', '102', '201'] });
+
+  assert.deepEqual(Object.keys(storage).sort(), ['exportCheckpoint', 'exportCheckpoint:orders:0', 'exportCheckpoint:orders:1']);
+  assert.deepEqual(plain(storage['exportCheckpoint:orders:1']).map(order => order.orderId), ['201']);
+  assert.equal(storage.exportCheckpoint.orders, undefined);
+  assert.equal(storage.exportCheckpoint.orderCount, 3);
+  assert.equal(storage.exportCheckpoint.pageNum, 3);
+
+  const checkpoint = await loadExporter(storage).loadCheckpoint();
+  assert.deepEqual(plain(checkpoint.orders).map(order => order.orderId), ['101', '102', '201']);
+});
+
+test('a checkpoint with a missing chunk is not resumed', async () => {
+  const storage = {};
+  const exporter = loadExporter(storage);
+
+  exporter.orders = [exporter.createEmptyOrder('101')];
+  await exporter.saveCheckpoint({ ...STATE, pageNum: 1, listedOrderIds: ['101'] });
+  delete storage['exportCheckpoint:orders:0'];
+
+  assert.equal(await exporter.loadCheckpoint(), null);
+  assert.equal((await exporter.loadCheckpointState()).orderCount, 1);
+});
+
+test('clearCheckpoint removes the checkpoint and its chunks only', async () => {
+  const storage = { csvColumnLayout: {} };
+  const exporter = loadExporter(storage);
+
+  exporter.orders = [exporter.createEmptyOrder('101')];
+  await exporter.saveCheckpoint({ ...STATE, pageNum: 1, listedOrderIds: ['101'] });
+  exporter.orders.push(exporter.createEmptyOrder('201'));
+  await exporter.saveCheckpoint({ ...STATE, pageNum: 2, listedOrderIds: ['101', '201'] });
+  await exporter.clearCheckpoint();
+
+  assert.deepEqual(Object.keys(storage), ['csvColumnLayout']);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExporter, usd } = require('./helpers/load-content');
+
+const exporter = loadExporter();
+
+test('escapeCSV quotes cells holding the delimiter, quotes or line breaks', () => {
+  assert.equal(exporter.escapeCSV('Milk, 1 gal'), '"Milk, 1 gal"');
+  assert.equal(exporter.escapeCSV('12" pizza'), '"12"" pizza"');
+  assert.equal(exporter.escapeCSV('line 1\nline 2'), '"line 1\nline 2"');
+  assert.equal(exporter.escapeCSV('Milk, 1 gal', ';'), 'Milk, 1 gal');
+  assert.equal(exporter.escapeCSV('Milk; 1 gal', ';'), '"Milk; 1 gal"');
+  assert.equal(exporter.escapeCSV('a\tb', '\t'), '"a\tb"');
+});
+
+test('escapeCSV neutralizes formulas but leaves negative amounts alone', () => {
+  assert.equal(exporter.escapeCSV('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+  assert.equal(exporter.escapeCSV('+1 free item'), '\'+1 free item');
+  assert.equal(exporter.escapeCSV('@SUM(A1)'), '\'@SUM(A1)');
+  assert.equal(exporter.escapeCSV('-$3.00'), '-$3.00');
+  assert.equal(exporter.escapeCSV('-3,00', ';'), '-3,00');
+  assert.equal(exporter.escapeCSV('-$1,234.50'), '"-$1,234.50"');
+});
+
+test('escapeCSV writes empty cells for missing values and keeps zero', () => {
+  assert.equal(exporter.escapeCSV(null), '');
+  assert.equal(exporter.escapeCSV(undefined), '');
+  assert.equal(exporter.escapeCSV(0), '0');
+});
+
+test('generateCSV applies the delimiter, decimal, date, BOM and line ending options', () => {
+  exporter.orders = [{
+    ...exporter.createEmptyOrder('2000123'),
+    orderDate: 'Jan 22, 2026',
+    status: 'Delivered',
+    total: usd(123450),
+    items: [
+      { name: 'Paper towels; 6 rolls', quantity: 1, price: usd(1297) },
+      { name: 'Milk', quantity: 2, price: usd(-50) }
+    ]
+  }];
+  const layout = {
+    detailed: ['orderNumber', 'orderDate', 'itemName', 'itemPrice', 'total'].map(key => ({ key }))
+  };
+
+  const csv = exporter.generateCSV(true, layout, { delimiter: ';', decimalSeparator: ',', dateFormat: 'iso', bom: true, crlf: true });
+
+  assert.equal(csv, '\uFEFF' + [
+    'Order Number;Order Date;Item Name;Item Price;Order Total',
+    '2000123;2026-01-22;"Paper towels; 6 rolls";$12,97;$1.234,50',
+    '2000123;2026-01-22;Milk;-$0,50;$1.234,50'
+  ].join('\r\n'));
+});
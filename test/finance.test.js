@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExporter, usd } = require('./helpers/load-content');
+
+const exporter = loadExporter();
+
+// An online order with a fee and a coupon, and a store receipt whose item lines
+// come to a cent less than its total
+const ORDERS = [
+  {
+    ...exporter.createEmptyOrder('2000123'),
+    orderDate: '2026-01-22T12:00:00',
+    status: 'Delivered',
+    subtotal: usd(1500),
+    tax: usd(120),
+    deliveryFee: usd(799),
+    total: usd(2219),
+    discounts: [{ label: 'Coupon', type: 'coupon', amount: usd(-200) }],
+    items: [
+      { name: 'Milk', quantity: 2, price: usd(1000) },
+      { name: 'Bread & Butter <fresh>', quantity: 1, price: usd(500) }
+    ]
+  },
+  {
+    ...exporter.createEmptyOrder('TC# 1234 5678', 'store'),
+    orderDate: '2026-02-03T12:00:00',
+    status: 'Store purchase',
+    total: usd(350),
+    storeLocation: { name: 'Walmart Supercenter & Pharmacy of Springfield', address: '' },
+    items: [{ name: 'Eggs', quantity: 1, price: usd(349) }]
+  }
+];
+
+test('generateQIF writes one split transaction per order', () => {
+  exporter.orders = ORDERS;
+
+  assert.equal(exporter.generateQIF(), [
+    '!Type:CCard',
+    'D01/22/2026', 'T-22.19', 'PWalmart.com', 'MWalmart order 2000123',
+    'SShopping', 'EMilk (x2)', '$-10.00',
+    'SShopping', 'EBread & Butter <fresh>', '$-5.00',
+    'STaxes:Sales Tax', 'ESales tax', '$-1.20',
+    'SFees:Delivery', 'EDelivery fee', '$-7.99',
+    'SDiscounts:Coupons', 'ECoupon', '$2.00',
+    '^',
+    'D02/03/2026', 'T-3.50', 'PWalmart Supercenter & Pharmacy of Springfield', 'N1234 5678', 'MWalmart TC# 1234 5678',
+    'SShopping', 'EEggs', '$-3.49',
+    'SShopping', 'EUnallocated (items without prices or rounding)', '$-0.01',
+    '^',
+    ''
+  ].join('\r\n'));
+});
+
+test('QIF splits always add up to the transaction amount', () => {
+  exporter.orders = ORDERS;
+
+  for (const txn of exporter.getFinanceTransactions()) {
+    assert.equal(txn.splits.reduce((sum, split) => sum + split.amount, 0), txn.amount, `order ${txn.id}`);
+  }
+});
+
+test('generateOFX declares its encoding and escapes and truncates SGML text', () => {
+  exporter.orders = ORDERS;
+  const ofx = exporter.generateOFX();
+  const [header, body] = ofx.split('\r\n\r\n');
+
+  assert.equal(header, [
+    'OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102', 'SECURITY:NONE', 'ENCODING:UNICODE',
+    'CHARSET:NONE', 'COMPRESSION:NONE', 'OLDFILEUID:NONE', 'NEWFILEUID:NONE'
+  ].join('\r\n'));
+  assert.match(body, /<DTSTART>20260122<\/DTSTART>\r\n<DTEND>20260203<\/DTEND>/);
+
+  const transactions = body.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/g);
+  assert.equal(transactions.length, 2);
+  assert.equal(transactions[0], [
+    '<STMTTRN>',
+    '<TRNTYPE>DEBIT</TRNTYPE>',
+    '<DTPOSTED>20260122</DTPOSTED>',
+    '<TRNAMT>-22.19</TRNAMT>',
+    '<FITID>2000123</FITID>',
+    '<REFNUM>2000123</REFNUM>',
+    '<NAME>Walmart.com</NAME>',
+    '<MEMO>Walmart order 2000123 - Milk (x2): -10.00; Bread &amp; Butter &lt;fresh&gt;: -5.00; Sales tax: -1.20; Delivery fee: -7.99; Coupon: 2.00</MEMO>',
+    '</STMTTRN>'
+  ].join('\r\n'));
+  assert.match(transactions[1], /<CHECKNUM>1234 5678<\/CHECKNUM>/);
+  assert.match(transactions[1], /<NAME>Walmart Supercenter &amp; Pharma<\/NAME>/);
+});
+
+test('escapeSGML collapses whitespace and truncateSGML never splits an entity', () => {
+  assert.equal(exporter.escapeSGML('  Tom & Jerry\r\n<DVD>  '), 'Tom &amp; Jerry &lt;DVD&gt;');
+  assert.equal(exporter.escapeSGML(null), '');
+  assert.equal(exporter.truncateSGML('Walmart Neighborhood Market #1 &amp; Co', 32), 'Walmart Neighborhood Market #1');
+  assert.equal(exporter.truncateSGML('Short &amp; sweet', 32), 'Short &amp; sweet');
+});
@@ -0,0 +1,58 @@
+/**
+ * Load the content script outside the browser
+ * content/content.js is a plain script, so it is run in a vm context with just enough
+ * of chrome, window and document for it to start. Returns the exporter it creates.
+ * chrome.storage.local reads and writes the given object.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const CONTENT_SCRIPT = path.join(__dirname, '..', '..', 'content', 'content.js');
+
+function loadExporter(storage = {}) {
+  const context = {
+    console: { log() {}, warn() {}, error() {} },
+    chrome: {
+      runtime: { sendMessage() {}, onMessage: { addListener() {} } },
+      storage: {
+        local: {
+          get: async keys => Object.fromEntries([].concat(keys).filter(key => key in storage).map(key => [key, storage[key]])),
+          set: async items => { Object.assign(storage, items); },
+          remove: async keys => { [].concat(keys).forEach(key => delete storage[key]); }
+        }
+      }
+    },
+    window: { location: { href: 'https://www.walmart.com/orders' } },
+    document: { querySelector: () => null, querySelectorAll: () => [] },
+    fetch: async () => { throw new Error('No network in tests'); },
+    setTimeout,
+    clearTimeout,
+    URL,
+    AbortController,
+    TextEncoder,
+    Blob
+  };
+
+  vm.createContext(context);
+  vm.runInContext(`${fs.readFileSync(CONTENT_SCRIPT, 'utf8')}\nglobalThis.exporter = exporter;`, context, { filename: CONTENT_SCRIPT });
+  return context.exporter;
+}
+
+/**
+ * Money in the exporter's canonical shape
+ */
+function usd(cents) {
+  return { cents, currency: 'USD' };
+}
+
+/**
+ * Copy a value out of the vm context, whose objects have their own prototypes and
+ * would never be deepStrictEqual to a test's literals
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadExporter, usd, plain };
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExporter, usd, plain } = require('./helpers/load-content');
+
+const exporter = loadExporter();
+
+test('parseMoney reads numbers and display strings as integer cents', () => {
+  const cases = [
+    [12.34, 1234],
+    [0.1 + 0.2, 30],
+    ['$5', 500],
+    ['$1,234.50', 123450],
+    ['-$3.00', -300],
+    ['$-3.00', -300],
+    ['($1.25)', -125],
+    ['−$0.99', -99],
+    ['1,234.5', 123450]
+  ];
+
+  for (const [value, cents] of cases) {
+    assert.deepEqual(plain(exporter.parseMoney(value)), usd(cents), `parseMoney(${JSON.stringify(value)})`);
+  }
+});
+
+test('parseMoney reads Walmart price objects, preferring the numeric value', () => {
+  assert.deepEqual(plain(exporter.parseMoney({ value: 4.99, displayValue: '$5.99' })), usd(499));
+  assert.deepEqual(plain(exporter.parseMoney({ displayValue: '-$2.00' })), usd(-200));
+  assert.deepEqual(plain(exporter.parseMoney({ amount: '7.5', currencyUnit: 'CAD' })), { cents: 750, currency: 'CAD' });
+});
+
+test('parseMoney returns null when there is no amount', () => {
+  for (const value of [null, undefined, '', 'Free', NaN, Infinity, {}, { value: null }]) {
+    assert.equal(exporter.parseMoney(value), null, `parseMoney(${String(value)})`);
+  }
+});
+
+test('formatMoney and formatCents render integer cents', () => {
+  assert.equal(exporter.formatMoney(usd(-123456)), '-$1,234.56');
+  assert.equal(exporter.formatMoney({ cents: 5, currency: 'CAD' }), '0.05 CAD');
+  assert.equal(exporter.formatMoney(null), '');
+  assert.equal(exporter.formatCents(-1234), '-12.34');
+  assert.equal(exporter.formatCents(7), '0.07');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExporter, usd } = require('./helpers/load-content');
+
+const exporter = loadExporter();
+
+test('buildSQLUpsert updates every non-key column on conflict', () => {
+  const sql = exporter.buildSQLUpsert('order_items', {
+    order_id: '2000123',
+    line_number: 1,
+    name: "Kellogg's Corn Flakes",
+    price_cents: 399,
+    taxable: null
+  }, ['order_id', 'line_number']);
+
+  assert.equal(sql,
+    "INSERT INTO order_items (order_id, line_number, name, price_cents, taxable) VALUES ('2000123', 1, 'Kellogg''s Corn Flakes', 399, NULL)" +
+    ' ON CONFLICT (order_id, line_number) DO UPDATE SET name = excluded.name, price_cents = excluded.price_cents, taxable = excluded.taxable;');
+});
+
+test('buildSQLUpsert does nothing on conflict when every column is a key', () => {
+  assert.equal(
+    exporter.buildSQLUpsert('stores', { store_key: 'Walmart Supercenter | 1 Main St' }, ['store_key']),
+    "INSERT INTO stores (store_key) VALUES ('Walmart Supercenter | 1 Main St') ON CONFLICT (store_key) DO NOTHING;"
+  );
+});
+
+test('sqlValue renders SQL literals', () => {
+  assert.equal(exporter.sqlValue(undefined), 'NULL');
+  assert.equal(exporter.sqlValue(NaN), 'NULL');
+  assert.equal(exporter.sqlValue(-125), '-125');
+  assert.equal(exporter.sqlValue(true), 'TRUE');
+  assert.equal(exporter.sqlValue("it's; DROP TABLE orders; --"), "'it''s; DROP TABLE orders; --'");
+});
+
+test('generateSQL writes one upsert per order and item inside a transaction', () => {
+  exporter.orders = [{
+    ...exporter.createEmptyOrder('2000123'),
+    orderDate: 'Jan 22, 2026',
+    status: 'Delivered',
+    subtotal: usd(1000),
+    tax: usd(80),
+    total: usd(1080),
+    items: [{ name: 'Milk', quantity: 1, price: usd(1000) }]
+  }];
+
+  const sql = exporter.generateSQL();
+  const statements = sql.split('\n').filter(line => line.startsWith('INSERT INTO '));
+
+  assert.match(sql, /\nBEGIN;\n/);
+  assert.match(sql, /\nCOMMIT;\n?$/);
+  assert.deepEqual(statements.map(line => line.match(/^INSERT INTO (\w+)/)[1]), ['orders', 'order_shipments', 'order_items']);
+  assert.match(statements[0], /'2000123'.*'2026-01-22'.*ON CONFLICT \(order_id\) DO UPDATE SET/);
+  assert.match(statements[2], /VALUES \('2000123', 1, 1, 'Milk', 1, 1000, NULL, 80, 1, 1080,/);
+});
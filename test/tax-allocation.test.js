@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExporter, usd, plain } = require('./helpers/load-content');
+
+const exporter = loadExporter();
+
+function order(fields) {
+  return { ...exporter.createEmptyOrder('2000123'), orderDate: 'Jan 22, 2026', status: 'Delivered', ...fields };
+}
+
+function allocate(fields) {
+  return plain(exporter.getItemTaxAllocation(order(fields))).map(({ tax, taxAllocated, total }) => [
+    tax && tax.cents, taxAllocated, total && total.cents
+  ]);
+}
+
+function issueCodes(fields) {
+  return plain(exporter.validateOrder(order(fields))).issues.map(issue => issue.code);
+}
+
+test('order tax not on the lines is split across taxable items by price', () => {
+  const allocation = allocate({
+    subtotal: usd(1700),
+    tax: usd(100),
+    total: usd(1800),
+    items: [
+      { name: 'Bananas', price: usd(200), taxable: false },
+      { name: 'Paper towels', price: usd(1000), tax: usd(70) },
+      { name: 'Soap', price: usd(300) },
+      { name: 'Sponges', price: usd(200) }
+    ]
+  });
+
+  assert.deepEqual(allocation, [
+    [0, false, 200],
+    [70, false, 1070],
+    [18, true, 318],
+    [12, true, 212]
+  ]);
+});
+
+test('fees, tip and discounts stay out of the item totals', () => {
+  const fields = {
+    subtotal: usd(1000),
+    tax: usd(80),
+    deliveryFee: usd(799),
+    driverTip: usd(300),
+    discounts: [{ label: 'Coupon', type: 'coupon', amount: usd(-100) }],
+    total: usd(2079),
+    items: [{ name: 'Milk', price: usd(600) }, { name: 'Eggs', price: usd(400) }]
+  };
+
+  const totals = allocate(fields).map(([, , total]) => total);
+  assert.deepEqual(totals, [648, 432]);
+  assert.equal(totals[0] + totals[1] + exporter.getOrderLevelCents(order(fields)), 2079);
+  assert.deepEqual(issueCodes(fields), []);
+});
+
+test('a rounding residue of up to a cent per item is spread across the items', () => {
+  const fields = {
+    tax: usd(0),
+    total: usd(1000),
+    items: [{ name: 'A', price: usd(333) }, { name: 'B', price: usd(333) }, { name: 'C', price: usd(332) }]
+  };
+
+  const totals = allocate(fields).map(([, , total]) => total);
+  assert.equal(totals.reduce((sum, total) => sum + total, 0), 1000);
+  assert.deepEqual(issueCodes(fields), []);
+});
+
+test('a larger residue is left unallocated and flagged', () => {
+  const fields = {
+    tax: usd(80),
+    deliveryFee: usd(799),
+    total: usd(1978),
+    items: [{ name: 'Milk', price: usd(600) }, { name: 'Eggs', price: usd(400) }]
+  };
+
+  assert.deepEqual(allocate(fields).map(([, , total]) => total), [648, 432]);
+  assert.deepEqual(issueCodes(fields), ['itemTotalsMismatch']);
+});
+
+test('orders already flagged for mismatched amounts are not flagged twice', () => {
+  const codes = issueCodes({
+    subtotal: usd(1100),
+    tax: usd(80),
+    total: usd(1180),
+    items: [{ name: 'Milk', price: usd(600) }, { name: 'Eggs', price: usd(400) }]
+  });
+
+  assert.deepEqual(codes, ['itemsMismatch']);
+});